@@ -4,6 +4,9 @@ import * as chai from "chai";
 import * as sinon from "sinon";
 import * as admin from "firebase-admin";
 import * as functions from "firebase-functions";
+import * as adminFunctions from "firebase-admin/functions";
+import * as crypto from "crypto";
+import OpenAI from "openai";
 // import * as test from "firebase-functions-test";
 
 // Initialize firebase-functions-test - using require is important
@@ -13,20 +16,128 @@ const testEnv = require("firebase-functions-test")();
 // Stub the logger before importing the functions
 sinon.stub(functions, "logger");
 
+// Send snap pushes immediately unless a test opts into coalescing
+process.env.SNAP_COALESCE_WINDOW_SECONDS = "0";
+
+// AI helpers run against the deterministic stub provider
+process.env.AI_FUNCTIONS_ENABLED = "true";
+process.env.AI_PROVIDER = "stub";
+
 // Import the functions AFTER stubbing
 import {
   sendFollowerPush,
+  sendFollowerPushTopLevel,
+  flushSnapPushes,
+  retryNotificationDelivery,
   fanOutBroadcast,
+  fanOutBroadcastTopLevel,
   sendMessageNotification,
+  registerDevice,
+  setActiveConversation,
+  publishScheduledContent,
+  updateScheduledContent,
+  generateCaption,
+  vectorSearchFAQ,
+  startEmbeddingReindex,
+  runEmbeddingReindex,
+  syncFAQVectors,
+  aggregateFAQFeedback,
+  askMarket,
+  updateNotificationPreferences,
+  deliverDeferredNotifications,
+  reviewModeration,
+  getRecipeSnippet,
+  invalidateRecipeCacheTopLevel,
+  moderateSnapEditTopLevel,
 } from "../index";
 
 const expect = chai.expect;
 
+/**
+ * Adds the paged query methods used by the follower fan-out to a stubbed
+ * followers collection. Every page is the same stubbed snapshot.
+ * @param {object} ref The stubbed collection reference.
+ * @return {object} The same reference, now chainable.
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+const pagedQuery = (ref: any) => {
+  ref.orderBy = () => ref;
+  ref.limit = () => ref;
+  ref.startAfter = () => ref;
+  return ref;
+};
+
+/**
+ * Wraps model output in a chat completion response.
+ * @param {string|object} content The model output; objects are sent as
+ * JSON.
+ * @return {object} The completion.
+ */
+const completion = (content: string | object) => ({
+  model: "gpt-4o",
+  choices: [{
+    message: {
+      content: typeof content === "string" ?
+        content : JSON.stringify(content),
+    },
+  }],
+});
+
+/**
+ * Switches the enclosing describe's tests to the OpenAI provider with a
+ * test key, and restores the previous settings after each test.
+ */
+const useOpenAIProvider = () => {
+  let savedKey: string | undefined;
+
+  beforeEach(() => {
+    savedKey = process.env.OPENAI_API_KEY;
+    process.env.AI_PROVIDER = "openai";
+    process.env.OPENAI_API_KEY = "test-key";
+  });
+
+  afterEach(() => {
+    process.env.AI_PROVIDER = "stub";
+    if (savedKey === undefined) {
+      delete process.env.OPENAI_API_KEY;
+    } else {
+      process.env.OPENAI_API_KEY = savedKey;
+    }
+  });
+};
+
+/**
+ * Computes the same hashed bag-of-words embedding as the stub AI provider,
+ * so tests can store embeddings that the stub's query vectors match.
+ * @param {string} text The text to embed.
+ * @return {number[]} The normalized 256-dimension embedding.
+ */
+const stubEmbedding = (text: string): number[] => {
+  const vector = new Array(256).fill(0);
+  (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).forEach((word) => {
+    const hash = crypto.createHash("sha256").update(word).digest("hex");
+    vector[parseInt(hash.slice(0, 8), 16) % 256] += 1;
+  });
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return vector.map((value) => value / norm);
+};
+
 describe("Cloud Functions: MarketSnap", () => {
   let collectionStub: sinon.SinonStub;
   let docStub: sinon.SinonStub;
   let getStub: sinon.SinonStub;
   let sendEachForMulticastStub: sinon.SinonStub;
+  let createStub: sinon.SinonStub;
+  let setStub: sinon.SinonStub;
+  let deviceDocs: {data: () => object}[];
+  let preferenceDocs: {id: string; exists: boolean; data: () => object}[];
+  let sourceSetStub: sinon.SinonStub;
+  let sourceDeleteStub: sinon.SinonStub;
+  let batchSetStub: sinon.SinonStub;
+  let batchUpdateStub: sinon.SinonStub;
+  let batchDeleteStub: sinon.SinonStub;
+  let enqueueStub: sinon.SinonStub;
+  let unreadCount: number;
 
   beforeEach(() => {
     // Stub Firebase admin initialization.
@@ -37,13 +148,88 @@ describe("Cloud Functions: MarketSnap", () => {
     getStub = sinon.stub();
     docStub = sinon.stub();
     // Default stub for doc()
-    docStub.returns({get: getStub});
+    createStub = sinon.stub().resolves();
+    setStub = sinon.stub().resolves();
+    docStub.returns({
+      get: getStub,
+      create: createStub,
+      set: setStub,
+      delete: sinon.stub().resolves(),
+      collection: () => ({doc: (id: string) => ({id})}),
+    });
+
+    // Device registry lookups return whatever a test puts in deviceDocs
+    deviceDocs = [];
+    const deviceQuery = {
+      where: () => deviceQuery,
+      get: () => Promise.resolve({docs: deviceDocs}),
+    };
+    sinon.stub(admin.firestore(), "collectionGroup")
+      .returns(deviceQuery as unknown as FirebaseFirestore.CollectionGroup);
+
+    // Notification preferences come from whatever a test puts here
+    preferenceDocs = [];
+    sinon.stub(admin.firestore(), "getAll")
+      .callsFake(() => Promise.resolve(preferenceDocs as unknown as
+        FirebaseFirestore.DocumentSnapshot[]));
+    sourceSetStub = sinon.stub().resolves();
+    sourceDeleteStub = sinon.stub().resolves();
+    sinon.stub(admin.firestore(), "doc")
+      .returns({set: sourceSetStub, delete: sourceDeleteStub} as unknown as
+        FirebaseFirestore.DocumentReference);
+
+    // Delivery results are written in batches
+    batchSetStub = sinon.stub();
+    batchUpdateStub = sinon.stub();
+    batchDeleteStub = sinon.stub();
+    sinon.stub(admin.firestore(), "batch").returns({
+      set: batchSetStub,
+      update: batchUpdateStub,
+      delete: batchDeleteStub,
+      commit: sinon.stub().resolves(),
+    } as unknown as FirebaseFirestore.WriteBatch);
+
+    // Transactions find nothing and write nowhere unless a test says so
+    sinon.stub(admin.firestore(), "runTransaction")
+      .callsFake((updateFunction) => updateFunction({
+        get: () => Promise.resolve({exists: false, data: () => undefined}),
+        create: sinon.stub(),
+        set: sinon.stub(),
+        update: sinon.stub(),
+        delete: sinon.stub(),
+      } as unknown as FirebaseFirestore.Transaction));
+
+    // Task queues accept whatever is enqueued
+    enqueueStub = sinon.stub().resolves();
+    sinon.stub(adminFunctions, "getFunctions").returns({
+      taskQueue: () => ({enqueue: enqueueStub}),
+    } as unknown as ReturnType<typeof adminFunctions.getFunctions>);
 
     collectionStub = sinon.stub(admin.firestore(), "collection").returns({
       doc: docStub,
       get: getStub,
     } as unknown as FirebaseFirestore.CollectionReference);
 
+    // Unread message counts come from whatever a test puts in unreadCount
+    unreadCount = 0;
+    const messagesQuery = {
+      doc: docStub,
+      where: () => messagesQuery,
+      count: () => ({
+        get: () => Promise.resolve({data: () => ({count: unreadCount})}),
+      }),
+    };
+    collectionStub.withArgs("messages")
+      .returns(messagesQuery as unknown as
+        FirebaseFirestore.CollectionReference);
+
+    // No embedding model cutover has happened unless a test says so
+    collectionStub.withArgs("config").returns({
+      doc: () => ({
+        get: () => Promise.resolve({exists: false, data: () => undefined}),
+      }),
+    } as unknown as FirebaseFirestore.CollectionReference);
+
     // Stub the messaging call
     sendEachForMulticastStub = sinon.stub(
       admin.messaging(),
@@ -57,6 +243,29 @@ describe("Cloud Functions: MarketSnap", () => {
     testEnv.cleanup();
   });
 
+  /**
+   * Backs AI quota counters with an in-memory map, keyed by counter id.
+   * @param {Map<string, object>} usage The counters, updated in place.
+   */
+  const stubAIUsage = (usage: Map<string, object>) => {
+    collectionStub.withArgs("aiUsage").returns({
+      doc: (id: string) => ({id}),
+    } as unknown as FirebaseFirestore.CollectionReference);
+    collectionStub.withArgs("aiUsageTiers").returns({
+      doc: (id: string) => ({id}),
+    } as unknown as FirebaseFirestore.CollectionReference);
+    collectionStub.withArgs("vendors").returns({
+      doc: () => ({get: () => Promise.resolve({exists: false})}),
+    } as unknown as FirebaseFirestore.CollectionReference);
+    (admin.firestore().runTransaction as sinon.SinonStub)
+      .callsFake(async (updateFunction) => updateFunction({
+        get: (ref: {id: string}) => Promise.resolve({
+          data: () => usage.get(ref.id),
+        }),
+        set: (ref: {id: string}, data: object) => usage.set(ref.id, data),
+      } as unknown as FirebaseFirestore.Transaction));
+  };
+
   describe("sendFollowerPush", () => {
     it("should send notifications to all followers on a new snap", async () => {
       // Setup mock data
@@ -75,14 +284,14 @@ describe("Cloud Functions: MarketSnap", () => {
         }),
       });
 
-      const followersCollectionRef = {
+      const followersCollectionRef = pagedQuery({
         get: () => Promise.resolve({
           empty: false,
           docs: followersData,
           forEach: (callback: (doc: unknown) => void) =>
             followersData.forEach(callback),
         }),
-      };
+      });
       collectionStub.withArgs("vendors/vendor1/followers")
         .returns(followersCollectionRef as unknown as
           FirebaseFirestore.CollectionReference);
@@ -123,13 +332,13 @@ describe("Cloud Functions: MarketSnap", () => {
         }),
       });
 
-      const followersCollectionRef = {
+      const followersCollectionRef = pagedQuery({
         get: () => Promise.resolve({
           empty: true,
           docs: [],
           forEach: () => [],
         }),
-      };
+      });
       collectionStub.withArgs("vendors/vendor1/followers")
         .returns(followersCollectionRef as unknown as
           FirebaseFirestore.CollectionReference);
@@ -147,6 +356,510 @@ describe("Cloud Functions: MarketSnap", () => {
 
       expect(sendEachForMulticastStub.called).to.be.false;
     });
+
+    it("should prune unregistered tokens and keep transient ones",
+      async () => {
+        const vendorData = {stallName: "The Best Veggies"};
+        const followersData = [
+          {id: "follower1", data: () => ({fcmToken: "token1"})},
+          {id: "follower2", data: () => ({fcmToken: "token2"})},
+        ];
+
+        docStub.withArgs("vendor1").returns({
+          get: () => Promise.resolve({
+            exists: true,
+            data: () => vendorData,
+          }),
+        });
+
+        const profileUpdateStub = sinon.stub().resolves();
+        docStub.withArgs("follower1").returns({
+          get: () => Promise.resolve({
+            exists: true,
+            data: () => ({fcmToken: "token1"}),
+          }),
+          update: profileUpdateStub,
+        });
+
+        const followerUpdateStub = sinon.stub().resolves();
+        const followersCollectionRef = pagedQuery({
+          get: () => Promise.resolve({
+            empty: false,
+            docs: followersData,
+            forEach: (callback: (doc: unknown) => void) =>
+              followersData.forEach(callback),
+          }),
+          doc: () => ({
+            get: () => Promise.resolve({
+              exists: true,
+              data: () => ({fcmToken: "token1"}),
+            }),
+            update: followerUpdateStub,
+          }),
+        });
+        collectionStub.withArgs("vendors/vendor1/followers")
+          .returns(followersCollectionRef as unknown as
+            FirebaseFirestore.CollectionReference);
+
+        sendEachForMulticastStub.resolves({
+          successCount: 0,
+          failureCount: 2,
+          responses: [
+            {
+              success: false,
+              error: {code: "messaging/registration-token-not-registered"},
+            },
+            {success: false, error: {code: "messaging/unavailable"}},
+          ],
+        });
+
+        const snap = testEnv.firestore.makeDocumentSnapshot(
+          {text: "Fresh carrots are in!"},
+          "vendors/vendor1/snaps/snap1"
+        );
+        const wrapped = testEnv.wrap(sendFollowerPush);
+        await wrapped({
+          data: snap,
+          params: {vendorId: "vendor1", snapId: "snap1"},
+        });
+
+        // Only the unregistered token is removed, from the follower doc
+        // and from the follower's own profile.
+        expect(followerUpdateStub.calledOnce).to.be.true;
+        expect(followerUpdateStub.firstCall.args[0])
+          .to.have.property("fcmToken");
+        expect(profileUpdateStub.called).to.be.true;
+        expect(collectionStub.calledWith("userDevices/follower2/pushTokens"))
+          .to.be.false;
+      });
+  });
+
+  describe("notification delivery log", () => {
+    it("should record each token and queue transient failures", async () => {
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({stallName: "The Best Veggies"}),
+        }),
+      });
+      const followersData = [
+        {id: "follower1", data: () => ({fcmToken: "token1"})},
+        {id: "follower2", data: () => ({fcmToken: "token2"})},
+      ];
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({empty: false, docs: followersData}),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      sendEachForMulticastStub.resolves({
+        successCount: 1,
+        failureCount: 1,
+        responses: [
+          {success: true},
+          {success: false, error: {code: "messaging/unavailable"}},
+        ],
+      });
+
+      const wrapped = testEnv.wrap(sendFollowerPush);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {text: "Fresh carrots are in!"},
+          "vendors/vendor1/snaps/snap1"
+        ),
+        params: {vendorId: "vendor1", snapId: "snap1"},
+      });
+
+      const statuses = batchSetStub.getCalls()
+        .map((call) => call.args[1].status);
+      expect(statuses).to.deep.equal(["sent", "retrying"]);
+
+      expect(enqueueStub.calledOnce).to.be.true;
+      const [retry, options] = enqueueStub.firstCall.args;
+      expect(retry.recipients).to.deep.equal([
+        {uid: "follower2", token: "token2"},
+      ]);
+      expect(retry.attempt).to.equal(2);
+      expect(options.scheduleDelaySeconds).to.equal(30);
+
+      expect(docStub.calledWith("new_snap_snap1")).to.be.true;
+      const record = setStub.getCalls()
+        .map((call) => call.args[0])
+        .find((data) => data.recipientCount);
+      expect(record.type).to.equal("new_snap");
+      expect(record.sourcePath).to.equal("vendors/vendor1/snaps/snap1");
+      expect(record.recipientCount.operand).to.equal(2);
+      expect(record.sentCount.operand).to.equal(1);
+      expect(record.retryingCount.operand).to.equal(1);
+    });
+
+    it("should give up on a token after the last attempt", async () => {
+      sendEachForMulticastStub.resolves({
+        successCount: 0,
+        failureCount: 1,
+        responses: [
+          {success: false, error: {code: "messaging/quota-exceeded"}},
+        ],
+      });
+
+      await retryNotificationDelivery.run({
+        data: {
+          deliveryId: "new_broadcast_broadcast1",
+          functionName: "fanOutBroadcast",
+          notification: {title: "Message from Fruit Stand", body: "Open!"},
+          data: {type: "new_broadcast", vendorId: "vendor1"},
+          vendorId: "vendor1",
+          recipients: [{uid: "follower1", token: "token1"}],
+          attempt: 5,
+        },
+      } as never);
+
+      expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+        .to.deep.equal(["token1"]);
+      expect(enqueueStub.called).to.be.false;
+      expect(batchSetStub.firstCall.args[1]).to.include({
+        status: "failed",
+        errorCode: "messaging/quota-exceeded",
+        attempts: 5,
+      });
+      const record = setStub.firstCall.args[0];
+      expect(record.recipientCount.operand).to.equal(0);
+      expect(record.failedCount.operand).to.equal(1);
+      expect(record.retryingCount.operand).to.equal(-1);
+    });
+  });
+
+  describe("follower fan-out", () => {
+    beforeEach(() => {
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({stallName: "The Best Veggies"}),
+        }),
+      });
+    });
+
+    it("should send to large audiences in chunks of 500 tokens", async () => {
+      const followersData = Array.from({length: 1200}, (_, i) => ({
+        id: `follower${i}`,
+        data: () => ({fcmToken: `token${i}`}),
+      }));
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({empty: false, docs: followersData}),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+
+      sendEachForMulticastStub.callsFake((message) => Promise.resolve({
+        successCount: message.tokens.length,
+        failureCount: 0,
+        responses: [],
+      }));
+
+      const wrapped = testEnv.wrap(sendFollowerPush);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {text: "Fresh carrots are in!"},
+          "vendors/vendor1/snaps/snap1"
+        ),
+        params: {vendorId: "vendor1", snapId: "snap1"},
+      });
+
+      expect(sendEachForMulticastStub.callCount).to.equal(3);
+      const chunkSizes = sendEachForMulticastStub.getCalls()
+        .map((call) => call.args[0].tokens.length);
+      expect(chunkSizes).to.deep.equal([500, 500, 200]);
+      expect(sendEachForMulticastStub.firstCall.args[0].data.deliveryId)
+        .to.equal("new_snap_snap1");
+    });
+
+    it("should skip devices a previous attempt already sent", async () => {
+      const followersData = [
+        {id: "follower1", data: () => ({fcmToken: "token1"})},
+        {id: "follower2", data: () => ({fcmToken: "token2"})},
+      ];
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({empty: false, docs: followersData}),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      // The delivery is claimed, but follower1 was already notified
+      createStub.onSecondCall().rejects({code: 6});
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+
+      const wrapped = testEnv.wrap(sendFollowerPush);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {text: "Fresh carrots are in!"},
+          "vendors/vendor1/snaps/snap1"
+        ),
+        params: {vendorId: "vendor1", snapId: "snap1"},
+      });
+
+      expect(createStub.calledThrice).to.be.true;
+      expect(createStub.secondCall.args[0].uid).to.equal("follower1");
+      expect(sendEachForMulticastStub.calledOnce).to.be.true;
+      expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+        .to.deep.equal(["token2"]);
+    });
+
+    it("should release device claims when a send fails", async () => {
+      const followersData = [
+        {id: "follower1", data: () => ({fcmToken: "token1"})},
+      ];
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({empty: false, docs: followersData}),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      sendEachForMulticastStub.rejects(new Error("FCM unavailable"));
+
+      const wrapped = testEnv.wrap(sendFollowerPush);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {text: "Fresh carrots are in!"},
+          "vendors/vendor1/snaps/snap1"
+        ),
+        params: {vendorId: "vendor1", snapId: "snap1"},
+      });
+
+      expect(batchDeleteStub.calledOnce).to.be.true;
+    });
+
+    it("should notify followers of snaps in the top-level collection",
+      async () => {
+        const followersData = [
+          {id: "follower1", data: () => ({fcmToken: "token1"})},
+        ];
+        collectionStub.withArgs("vendors/vendor1/followers")
+          .returns(pagedQuery({
+            get: () => Promise.resolve({empty: false, docs: followersData}),
+          }) as unknown as FirebaseFirestore.CollectionReference);
+        sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+
+        const wrapped = testEnv.wrap(sendFollowerPushTopLevel);
+        await wrapped({
+          data: testEnv.firestore.makeDocumentSnapshot(
+            {vendorId: "vendor1", caption: "Heirloom tomatoes today"},
+            "snaps/snap1"
+          ),
+          params: {snapId: "snap1"},
+        });
+
+        expect(sendEachForMulticastStub.calledOnce).to.be.true;
+        const callArgs = sendEachForMulticastStub.firstCall.args[0];
+        expect(callArgs.tokens).to.deep.equal(["token1"]);
+        expect(callArgs.notification.body)
+          .to.equal("Heirloom tomatoes today");
+      });
+
+    it("should attach the snap's thumbnail to the push", async () => {
+      const followersData = [
+        {id: "follower1", data: () => ({fcmToken: "token1"})},
+      ];
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({empty: false, docs: followersData}),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+      const fileStub = sinon.stub().returns({
+        exists: () => Promise.resolve([true]),
+        getMetadata: () => Promise.resolve([
+          {metadata: {firebaseStorageDownloadTokens: "thumb-token"}},
+        ]),
+      });
+      sinon.stub(admin.storage(), "bucket")
+        .returns({file: fileStub} as never);
+
+      const wrapped = testEnv.wrap(sendFollowerPushTopLevel);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {
+            vendorId: "vendor1",
+            caption: "Heirloom tomatoes today",
+            mediaType: "video",
+            mediaUrl: "https://firebasestorage.googleapis.com/v0/b/" +
+              "market.appspot.com/o/vendors%2Fvendor1%2Fsnaps%2Fclip.mp4" +
+              "?alt=media&token=media-token",
+          },
+          "snaps/snap1"
+        ),
+        params: {snapId: "snap1"},
+      });
+
+      expect(fileStub.firstCall.args[0])
+        .to.equal("vendors/vendor1/snaps/clip_thumb.jpg");
+      const thumbnailUrl = "https://firebasestorage.googleapis.com/v0/b/" +
+        "market.appspot.com/o/vendors%2Fvendor1%2Fsnaps%2Fclip_thumb.jpg" +
+        "?alt=media&token=thumb-token";
+      const callArgs = sendEachForMulticastStub.firstCall.args[0];
+      expect(callArgs.notification.imageUrl).to.equal(thumbnailUrl);
+      expect(callArgs.android.notification.imageUrl).to.equal(thumbnailUrl);
+      expect(callArgs.apns.fcmOptions.imageUrl).to.equal(thumbnailUrl);
+    });
+
+    it("should notify only once for a snap mirrored in both paths",
+      async () => {
+        const followersData = [
+          {id: "follower1", data: () => ({fcmToken: "token1"})},
+        ];
+        collectionStub.withArgs("vendors/vendor1/followers")
+          .returns(pagedQuery({
+            get: () => Promise.resolve({empty: false, docs: followersData}),
+          }) as unknown as FirebaseFirestore.CollectionReference);
+        sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+        createStub.onFirstCall().rejects({code: 6});
+        getStub.resolves({
+          data: () => ({sourcePath: "snaps/snap1"}),
+        });
+
+        const wrapped = testEnv.wrap(sendFollowerPush);
+        await wrapped({
+          data: testEnv.firestore.makeDocumentSnapshot(
+            {text: "Fresh carrots are in!"},
+            "vendors/vendor1/snaps/snap1"
+          ),
+          params: {vendorId: "vendor1", snapId: "snap1"},
+        });
+
+        expect(sendEachForMulticastStub.called).to.be.false;
+      });
+  });
+
+  describe("snap coalescing", () => {
+    let transaction: {
+      get: sinon.SinonStub;
+      set: sinon.SinonStub;
+      update: sinon.SinonStub;
+      delete: sinon.SinonStub;
+    };
+
+    beforeEach(() => {
+      process.env.SNAP_COALESCE_WINDOW_SECONDS = "120";
+      transaction = {
+        get: sinon.stub(),
+        set: sinon.stub(),
+        update: sinon.stub(),
+        delete: sinon.stub(),
+      };
+      (admin.firestore().runTransaction as sinon.SinonStub)
+        .callsFake((fn) => fn(transaction as never));
+
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({stallName: "Sunrise Organic Farm"}),
+        }),
+      });
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({
+            empty: false,
+            docs: [{id: "follower1", data: () => ({fcmToken: "token1"})}],
+          }),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+    });
+
+    afterEach(() => {
+      process.env.SNAP_COALESCE_WINDOW_SECONDS = "0";
+    });
+
+    it("should hold the first snap and schedule a flush", async () => {
+      transaction.get.resolves({exists: false});
+
+      const wrapped = testEnv.wrap(sendFollowerPushTopLevel);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {vendorId: "vendor1", caption: "Strawberries just picked"},
+          "snaps/snap1"
+        ),
+        params: {snapId: "snap1"},
+      });
+
+      expect(sendEachForMulticastStub.called).to.be.false;
+      expect(transaction.set.firstCall.args[1].snaps).to.deep.equal([
+        {
+          snapId: "snap1",
+          caption: "Strawberries just picked",
+          sourcePath: "snaps/snap1",
+          mediaUrl: null,
+          mediaType: null,
+        },
+      ]);
+      expect(enqueueStub.calledOnce).to.be.true;
+      expect(enqueueStub.firstCall.args[0]).to.deep.equal({
+        vendorId: "vendor1",
+      });
+      expect(enqueueStub.firstCall.args[1].scheduleTime)
+        .to.be.an.instanceOf(Date);
+    });
+
+    it("should add later snaps to the open window", async () => {
+      transaction.get.resolves({exists: true});
+
+      const wrapped = testEnv.wrap(sendFollowerPushTopLevel);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {vendorId: "vendor1", caption: "Now with honey"},
+          "snaps/snap2"
+        ),
+        params: {snapId: "snap2"},
+      });
+
+      expect(transaction.update.calledOnce).to.be.true;
+      expect(enqueueStub.called).to.be.false;
+      expect(sendEachForMulticastStub.called).to.be.false;
+    });
+
+    it("should send one push summarizing all pending snaps", async () => {
+      const snaps = ["snap1", "snap2", "snap3", "snap4"].map((snapId) => ({
+        snapId,
+        caption: `Caption for ${snapId}`,
+      }));
+      transaction.get.resolves({exists: true, data: () => ({snaps})});
+
+      await flushSnapPushes.run({data: {vendorId: "vendor1"}} as never);
+
+      expect(transaction.delete.calledOnce).to.be.true;
+      expect(sendEachForMulticastStub.calledOnce).to.be.true;
+      const callArgs = sendEachForMulticastStub.firstCall.args[0];
+      expect(callArgs.notification.title)
+        .to.equal("Sunrise Organic Farm posted 4 new snaps");
+      expect(callArgs.data.snapIds).to.equal("snap1,snap2,snap3,snap4");
+      expect(callArgs.data.deliveryId).to.equal("new_snap_snap1");
+    });
+
+    it("should restore pending snaps when the flush fails", async () => {
+      const snaps = [{snapId: "snap1", caption: "Fresh eggs"}];
+      transaction.get.onFirstCall().resolves({
+        exists: true,
+        data: () => ({snaps}),
+      });
+      transaction.get.onSecondCall().resolves({exists: false});
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.reject(new Error("unavailable")),
+      });
+
+      try {
+        await flushSnapPushes.run({data: {vendorId: "vendor1"}} as never);
+        expect.fail("Expected the flush to fail");
+      } catch (error) {
+        expect((error as Error).message).to.equal("unavailable");
+      }
+
+      expect(transaction.delete.calledOnce).to.be.true;
+      expect(transaction.set.firstCall.args[1].snaps).to.deep.equal(snaps);
+    });
+
+    it("should use the caption when only one snap is pending", async () => {
+      transaction.get.resolves({
+        exists: true,
+        data: () => ({snaps: [{snapId: "snap1", caption: "Fresh eggs"}]}),
+      });
+
+      await flushSnapPushes.run({data: {vendorId: "vendor1"}} as never);
+
+      const callArgs = sendEachForMulticastStub.firstCall.args[0];
+      expect(callArgs.notification.title)
+        .to.equal("Sunrise Organic Farm has a new Snap!");
+      expect(callArgs.notification.body).to.equal("Fresh eggs");
+    });
   });
 
   describe("fanOutBroadcast", () => {
@@ -164,14 +877,14 @@ describe("Cloud Functions: MarketSnap", () => {
         }),
       });
 
-      const followersCollectionRef = {
+      const followersCollectionRef = pagedQuery({
         get: () => Promise.resolve({
           empty: false,
           docs: followersData,
           forEach: (callback: (doc: unknown) => void) =>
             followersData.forEach(callback),
         }),
-      };
+      });
       collectionStub.withArgs("vendors/vendor1/followers")
         .returns(followersCollectionRef as unknown as
           FirebaseFirestore.CollectionReference);
@@ -214,63 +927,2246 @@ describe("Cloud Functions: MarketSnap", () => {
     });
   });
 
-  describe("sendMessageNotification", () => {
-    it("should handle message creation event", async () => {
-      // Mock Firestore data for a new message
-      const message = testEnv.firestore.makeDocumentSnapshot(
-        {
-          fromUid: "test-sender-id",
-          toUid: "test-recipient-id",
-          text: "Hello! Are your apples organic?",
-          conversationId: "test-sender-id_test-recipient-id",
-          createdAt: new Date(),
-          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24h
-          isRead: false,
-        },
-        "messages/test-message-id"
-      );
+  describe("device registry", () => {
+    it("should register a device for the calling user", async () => {
+      getStub.resolves({exists: false});
 
-      // Create a mock function
-      const wrapped = testEnv.wrap(sendMessageNotification);
+      const wrapped = testEnv.wrap(registerDevice);
+      const result = await wrapped({
+        data: {token: "device-token", platform: "ios", appVersion: "1.4.0"},
+        auth: {uid: "shopper1"},
+      });
 
-      // Mock the event
-      const event = {
-        data: message,
-        params: {
-          messageId: "test-message-id",
-        },
-      };
+      expect(result.success).to.be.true;
+      expect(collectionStub.calledWith("userDevices/shopper1/pushTokens"))
+        .to.be.true;
+      const saved = setStub.firstCall.args[0];
+      expect(saved.uid).to.equal("shopper1");
+      expect(saved.token).to.equal("device-token");
+      expect(saved.platform).to.equal("ios");
+      expect(saved.appVersion).to.equal("1.4.0");
+    });
 
-      // This should not throw an error
-      await wrapped(event);
+    it("should keep a stored locale when none is sent", async () => {
+      getStub.resolves({exists: true});
+
+      const wrapped = testEnv.wrap(registerDevice);
+      await wrapped({
+        data: {token: "device-token", platform: "ios"},
+        auth: {uid: "shopper1"},
+      });
+
+      expect(setStub.firstCall.args[0]).to.not.have.property("locale");
+      expect(setStub.firstCall.args[1]).to.deep.equal({merge: true});
     });
 
-    it("should handle message with missing required fields gracefully",
-      async () => {
-      // Mock Firestore data with missing fields
-        const invalidMessage = testEnv.firestore.makeDocumentSnapshot(
-          {
-            fromUid: "test-sender-id",
-            // Missing toUid, text, conversationId
-            createdAt: new Date(),
-            isRead: false,
-          },
-          "messages/test-invalid-message-id"
-        );
+    it("should reject unauthenticated registrations", async () => {
+      const wrapped = testEnv.wrap(registerDevice);
+      try {
+        await wrapped({data: {token: "device-token"}});
+        expect.fail("registerDevice should have thrown");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("unauthenticated");
+      }
+    });
 
-        // Create a mock function
-        const wrapped = testEnv.wrap(sendMessageNotification);
+    it("should fan out to every registered device of a follower",
+      async () => {
+        docStub.withArgs("vendor1").returns({
+          get: () => Promise.resolve({
+            exists: true,
+            data: () => ({stallName: "The Best Veggies"}),
+          }),
+        });
+        const followersData = [
+          {id: "follower1", data: () => ({fcmToken: "phone-token"})},
+        ];
+        collectionStub.withArgs("vendors/vendor1/followers")
+          .returns(pagedQuery({
+            get: () => Promise.resolve({empty: false, docs: followersData}),
+          }) as unknown as FirebaseFirestore.CollectionReference);
+        deviceDocs = [
+          {data: () => ({uid: "follower1", token: "phone-token"})},
+          {data: () => ({uid: "follower1", token: "tablet-token"})},
+        ];
+        sendEachForMulticastStub.resolves({successCount: 2, failureCount: 0});
 
-        // Mock the event
-        const event = {
-          data: invalidMessage,
-          params: {
-            messageId: "test-invalid-message-id",
-          },
-        };
+        const wrapped = testEnv.wrap(sendFollowerPush);
+        await wrapped({
+          data: testEnv.firestore.makeDocumentSnapshot(
+            {text: "Fresh carrots are in!"},
+            "vendors/vendor1/snaps/snap1"
+          ),
+          params: {vendorId: "vendor1", snapId: "snap1"},
+        });
 
-        // This should not throw an error (should handle gracefully)
-        await wrapped(event);
+        expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+          .to.deep.equal(["phone-token", "tablet-token"]);
       });
+
+    it("should send messages to all of a shopper's devices", async () => {
+      getStub.resolves({exists: false, data: () => undefined});
+      deviceDocs = [
+        {data: () => ({uid: "shopper1", token: "phone-token"})},
+        {data: () => ({uid: "shopper1", token: "tablet-token"})},
+      ];
+      sendEachForMulticastStub.resolves({successCount: 2, failureCount: 0});
+
+      const wrapped = testEnv.wrap(sendMessageNotification);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {fromUid: "vendor1", toUid: "shopper1", text: "Ready for pickup"},
+          "messages/message1"
+        ),
+        params: {messageId: "message1"},
+      });
+
+      expect(sendEachForMulticastStub.calledOnce).to.be.true;
+      expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+        .to.deep.equal(["phone-token", "tablet-token"]);
+    });
+  });
+
+  describe("localized notifications", () => {
+    it("should send each language group its own broadcast title",
+      async () => {
+        docStub.withArgs("vendor1").returns({
+          get: () => Promise.resolve({
+            exists: true,
+            data: () => ({stallName: "Fruit Stand"}),
+          }),
+        });
+        const followersData = ["follower1", "follower2", "follower3",
+          "follower4"].map((id) => ({id, data: () => ({})}));
+        collectionStub.withArgs("vendors/vendor1/followers")
+          .returns(pagedQuery({
+            get: () => Promise.resolve({empty: false, docs: followersData}),
+          }) as unknown as FirebaseFirestore.CollectionReference);
+        deviceDocs = [
+          {data: () => ({uid: "follower1", token: "token1", locale: "es-MX"})},
+          {data: () => ({uid: "follower2", token: "token2", locale: "vi"})},
+          {data: () => ({uid: "follower3", token: "token3"})},
+          {data: () => ({uid: "follower4", token: "token4", locale: "fr-FR"})},
+        ];
+        sendEachForMulticastStub.callsFake((message) => Promise.resolve({
+          successCount: message.tokens.length,
+          failureCount: 0,
+          responses: [],
+        }));
+
+        const wrapped = testEnv.wrap(fanOutBroadcast);
+        await wrapped({
+          data: testEnv.firestore.makeDocumentSnapshot(
+            {message: "Mangoes 2 for $5"},
+            "vendors/vendor1/broadcasts/broadcast1"
+          ),
+          params: {vendorId: "vendor1", broadcastId: "broadcast1"},
+        });
+
+        const sent = sendEachForMulticastStub.getCalls().map((call) => ({
+          tokens: call.args[0].tokens,
+          title: call.args[0].notification.title,
+          body: call.args[0].notification.body,
+        }));
+        expect(sent).to.have.deep.members([
+          {
+            tokens: ["token1"],
+            title: "Mensaje de Fruit Stand",
+            body: "Mangoes 2 for $5",
+          },
+          {
+            tokens: ["token2"],
+            title: "Tin nhắn từ Fruit Stand",
+            body: "Mangoes 2 for $5",
+          },
+          {
+            tokens: ["token3", "token4"],
+            title: "Message from Fruit Stand",
+            body: "Mangoes 2 for $5",
+          },
+        ]);
+      });
+
+    it("should title messages in the language of the device", async () => {
+      getStub.resolves({exists: false, data: () => undefined});
+      deviceDocs = [
+        {data: () => ({uid: "shopper1", token: "phone-token", locale: "es"})},
+      ];
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+
+      const wrapped = testEnv.wrap(sendMessageNotification);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {fromUid: "vendor1", toUid: "shopper1", text: "Listo para recoger"},
+          "messages/message1"
+        ),
+        params: {messageId: "message1"},
+      });
+
+      expect(sendEachForMulticastStub.firstCall.args[0].notification.title)
+        .to.equal("Nuevo mensaje de Someone");
+    });
+
+    it("should store the locale a device registers with", async () => {
+      getStub.resolves({exists: false});
+
+      const wrapped = testEnv.wrap(registerDevice);
+      await wrapped({
+        data: {token: "device-token", platform: "android", locale: "vi-VN"},
+        auth: {uid: "shopper1"},
+      });
+
+      expect(setStub.firstCall.args[0].locale).to.equal("vi-VN");
+    });
+  });
+
+  describe("notification preferences", () => {
+    beforeEach(() => {
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({stallName: "The Best Veggies"}),
+        }),
+      });
+      const followersData = [
+        {id: "follower1", data: () => ({fcmToken: "token1"})},
+        {id: "follower2", data: () => ({fcmToken: "token2"})},
+      ];
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({empty: false, docs: followersData}),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+    });
+
+    const postSnap = async () => {
+      const wrapped = testEnv.wrap(sendFollowerPush);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {text: "Fresh carrots are in!"},
+          "vendors/vendor1/snaps/snap1"
+        ),
+        params: {vendorId: "vendor1", snapId: "snap1"},
+      });
+    };
+
+    it("should skip followers who muted the vendor", async () => {
+      preferenceDocs = [{
+        id: "follower1",
+        exists: true,
+        data: () => ({mutedVendors: ["vendor1"]}),
+      }];
+
+      await postSnap();
+
+      expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+        .to.deep.equal(["token2"]);
+    });
+
+    it("should skip followers who turned off new snap pushes", async () => {
+      preferenceDocs = [{
+        id: "follower2",
+        exists: true,
+        data: () => ({newSnaps: false}),
+      }];
+
+      await postSnap();
+
+      expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+        .to.deep.equal(["token1"]);
+    });
+
+    it("should defer pushes that arrive during quiet hours", async () => {
+      // 6 a.m. in Chicago
+      const clock = sinon.useFakeTimers({
+        now: Date.UTC(2026, 5, 6, 11, 0),
+        toFake: ["Date"],
+      });
+      preferenceDocs = [{
+        id: "follower1",
+        exists: true,
+        data: () => ({
+          quietHours: {
+            enabled: true,
+            start: "21:00",
+            end: "08:00",
+            timezone: "America/Chicago",
+          },
+        }),
+      }];
+
+      try {
+        await postSnap();
+      } finally {
+        clock.restore();
+      }
+
+      expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+        .to.deep.equal(["token2"]);
+      const deferred = batchSetStub.firstCall.args[1];
+      expect(deferred.uid).to.equal("follower1");
+      expect(deferred.deliverAt.toMillis())
+        .to.equal(Date.UTC(2026, 5, 6, 13, 0));
+    });
+
+    it("should send deferred pushes as the live push would", async () => {
+      const deferred = [
+        {
+          uid: "follower1",
+          deliveryId: "new_snap_snap1",
+          senderId: "vendor1",
+          type: "new_snap",
+          notifications: {en: {title: "New snap", body: "Eggs"}},
+          data: {type: "new_snap", vendorId: "vendor1"},
+          sourcePath: "snaps/snap1",
+          imageUrl: "https://example.com/thumb.jpg",
+          android: {notification: {imageUrl: "https://example.com/thumb.jpg"}},
+          apns: null,
+        },
+        {
+          uid: "shopper1",
+          deliveryId: "new_message_message1",
+          senderId: "vendor1",
+          type: "new_message",
+          notifications: {en: {title: "Message", body: "Hi"}},
+          data: {type: "new_message", fromUid: "vendor1"},
+          sourcePath: "messages/message1",
+          imageUrl: null,
+          android: {notification: {tag: "shopper1_vendor1"}},
+          apns: {payload: {aps: {threadId: "shopper1_vendor1"}}},
+        },
+      ];
+      const dueQuery = pagedQuery({
+        where: () => dueQuery,
+        get: () => Promise.resolve({
+          empty: false,
+          size: deferred.length,
+          docs: deferred.map((data) => ({
+            id: `${data.deliveryId}_${data.uid}`,
+            data: () => data,
+            ref: {delete: sinon.stub().resolves()},
+          })),
+        }),
+      });
+      collectionStub.withArgs("deferredNotifications")
+        .returns(dueQuery as unknown as FirebaseFirestore.CollectionReference);
+      deviceDocs = [
+        {data: () => ({uid: "follower1", token: "token1"})},
+        {data: () => ({uid: "shopper1", token: "token2"})},
+      ];
+      getStub.resolves({exists: false, data: () => undefined});
+      unreadCount = 3;
+
+      await deliverDeferredNotifications.run({} as never);
+
+      const [snapPush, messagePush] = sendEachForMulticastStub.getCalls()
+        .map((call) => call.args[0]);
+      expect(snapPush.notification.imageUrl)
+        .to.equal("https://example.com/thumb.jpg");
+      expect(snapPush.android.notification.imageUrl)
+        .to.equal("https://example.com/thumb.jpg");
+      expect(messagePush.android.notification.tag)
+        .to.equal("shopper1_vendor1");
+      expect(messagePush.apns.payload.aps)
+        .to.deep.equal({threadId: "shopper1_vendor1", badge: 3});
+      const deliveries = setStub.getCalls()
+        .map((call) => call.args[0])
+        .filter((data) => data.deliveryId);
+      expect(deliveries[0]).to.include({
+        senderId: "vendor1",
+        sourcePath: "snaps/snap1",
+      });
+    });
+
+    it("should page through the backlog of deferred pushes", async () => {
+      const deferredPush = (uid: string, deleted: boolean) => ({
+        id: `new_snap_snap1_${uid}`,
+        data: () => ({
+          uid,
+          deliveryId: "new_snap_snap1",
+          senderId: "vendor1",
+          type: "new_snap",
+          notifications: {en: {title: "New snap", body: "Eggs"}},
+          data: {type: "new_snap", vendorId: "vendor1"},
+        }),
+        // An overlapping run already delivered the deleted ones
+        ref: {
+          delete: deleted ?
+            sinon.stub().rejects({code: 5}) : sinon.stub().resolves(),
+        },
+      });
+      const firstPage = Array.from(
+        {length: 500},
+        (_, i) => deferredPush(`follower${i}`, true)
+      );
+      const get = sinon.stub();
+      get.onFirstCall().resolves({empty: false, size: 500, docs: firstPage});
+      get.onSecondCall().resolves({
+        empty: false,
+        size: 1,
+        docs: [deferredPush("shopper1", false)],
+      });
+      const dueQuery = pagedQuery({where: () => dueQuery, get});
+      collectionStub.withArgs("deferredNotifications")
+        .returns(dueQuery as unknown as FirebaseFirestore.CollectionReference);
+      deviceDocs = [{data: () => ({uid: "shopper1", token: "token2"})}];
+      getStub.resolves({exists: false, data: () => undefined});
+      sendEachForMulticastStub.resolves({
+        successCount: 1,
+        failureCount: 0,
+        responses: [{success: true}],
+      });
+
+      await deliverDeferredNotifications.run({} as never);
+
+      expect(get.calledTwice).to.be.true;
+      expect(sendEachForMulticastStub.calledOnce).to.be.true;
+      expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+        .to.deep.equal(["token2"]);
+    });
+
+    it("should reject quiet hours without a timezone", async () => {
+      try {
+        await testEnv.wrap(updateNotificationPreferences)({
+          data: {quietHours: {enabled: true, start: "21:00", end: "08:00"}},
+          auth: {uid: "follower1"},
+        });
+        expect.fail("Expected invalid-argument");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("invalid-argument");
+      }
+      expect(setStub.called).to.be.false;
+    });
+  });
+
+  describe("fanOutBroadcastTopLevel", () => {
+    it("should fan out broadcasts keyed by vendorUid", async () => {
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({stallName: "Fruit Stand"}),
+        }),
+      });
+      const followersData = [
+        {id: "follower1", data: () => ({fcmToken: "token1"})},
+      ];
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({empty: false, docs: followersData}),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+
+      const wrapped = testEnv.wrap(fanOutBroadcastTopLevel);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {vendorUid: "vendor1", message: "Closing in 15 minutes!"},
+          "broadcasts/broadcast1"
+        ),
+        params: {broadcastId: "broadcast1"},
+      });
+
+      expect(sendEachForMulticastStub.calledOnce).to.be.true;
+      const callArgs = sendEachForMulticastStub.firstCall.args[0];
+      expect(callArgs.notification.title)
+        .to.equal("Message from Fruit Stand");
+      expect(callArgs.data.broadcastId).to.equal("broadcast1");
+    });
+  });
+
+  describe("geo-targeted broadcasts", () => {
+    let transaction: {
+      get: sinon.SinonStub;
+      create: sinon.SinonStub;
+      set: sinon.SinonStub;
+    };
+
+    /**
+     * Builds the trigger event for a broadcast with a 25 km radius.
+     * @return {object} The event.
+     */
+    const broadcast = () => ({
+      data: testEnv.firestore.makeDocumentSnapshot(
+        {
+          vendorUid: "vendor1",
+          message: "Flash sale at the Saturday market!",
+          latitude: 45.52,
+          longitude: -122.68,
+          radiusKm: 25,
+        },
+        "broadcasts/broadcast1"
+      ),
+      params: {broadcastId: "broadcast1"},
+    });
+
+    beforeEach(() => {
+      transaction = {
+        get: sinon.stub().resolves({exists: false}),
+        create: sinon.stub(),
+        set: sinon.stub(),
+      };
+      (admin.firestore().runTransaction as sinon.SinonStub)
+        .callsFake((fn) => fn(transaction as never));
+
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({stallName: "Fruit Stand"}),
+        }),
+      });
+      const followersData = [
+        {id: "nearby", data: () => ({fcmToken: "nearby-token"})},
+        {id: "faraway", data: () => ({fcmToken: "faraway-token"})},
+        {id: "unknown", data: () => ({fcmToken: "unknown-token"})},
+      ];
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({empty: false, docs: followersData}),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      // Portland, OR and Seattle, WA; the third follower never opted in
+      const locationDocs = [
+        {id: "nearby", exists: true, data: () => ({geohash: "c20fb"})},
+        {id: "faraway", exists: true, data: () => ({geohash: "c23nb"})},
+        {id: "unknown", exists: false, data: () => undefined},
+      ];
+      (admin.firestore().getAll as sinon.SinonStub)
+        .onFirstCall().resolves(locationDocs);
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+    });
+
+    it("should only notify followers inside the broadcast radius",
+      async () => {
+        await testEnv.wrap(fanOutBroadcastTopLevel)(broadcast());
+
+        expect(sendEachForMulticastStub.firstCall.args[0].tokens)
+          .to.deep.equal(["nearby-token"]);
+        const targeting = transaction.set.firstCall.args[1].geoTargeting;
+        expect(targeting.radiusKm).to.equal(25);
+        expect(targeting.targeted.operand).to.equal(1);
+        expect(targeting.skipped.operand).to.equal(2);
+        expect(transaction.create.firstCall.args[1])
+          .to.include({targeted: 1, skipped: 2});
+      });
+
+    it("should count a retried shard's audience once", async () => {
+      transaction.get.resolves({exists: true});
+
+      await testEnv.wrap(fanOutBroadcastTopLevel)(broadcast());
+
+      expect(sendEachForMulticastStub.calledOnce).to.be.true;
+      expect(transaction.set.called).to.be.false;
+    });
+  });
+
+  describe("content moderation", () => {
+    let queueSetStub: sinon.SinonStub;
+
+    beforeEach(() => {
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({stallName: "Sunrise Organic Farm"}),
+        }),
+      });
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({
+            empty: false,
+            docs: [{id: "follower1", data: () => ({fcmToken: "token1"})}],
+          }),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+      queueSetStub = sinon.stub().resolves();
+      collectionStub.withArgs("moderationQueue").returns({
+        doc: (id: string) => ({id, set: queueSetStub}),
+      } as unknown as FirebaseFirestore.CollectionReference);
+    });
+
+    afterEach(() => {
+      delete process.env.MODERATION_BLOCKLIST;
+    });
+
+    it("should remove blocklisted broadcasts without a push", async () => {
+      process.env.MODERATION_BLOCKLIST = "free crypto, giveaway";
+      await testEnv.wrap(fanOutBroadcastTopLevel)({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {vendorUid: "vendor1", message: "FREE CRYPTO for everyone"},
+          "broadcasts/broadcast1"
+        ),
+        params: {broadcastId: "broadcast1"},
+      });
+
+      expect(sendEachForMulticastStub.called).to.be.false;
+      expect(sourceSetStub.firstCall.args[0]).to.include({
+        moderationStatus: "removed",
+        visible: false,
+      });
+      expect(sourceSetStub.firstCall.args[0].moderationReasons)
+        .to.deep.equal(["blocklist"]);
+      expect(queueSetStub.called).to.be.false;
+    });
+
+    it("should queue link spam for review and hold the push", async () => {
+      await testEnv.wrap(sendFollowerPushTopLevel)({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {
+            vendorId: "vendor1",
+            caption: "Deals! http://a.example http://b.example www.c.example",
+          },
+          "snaps/snap1"
+        ),
+        params: {snapId: "snap1"},
+      });
+
+      expect(sendEachForMulticastStub.called).to.be.false;
+      expect(sourceSetStub.firstCall.args[0].moderationStatus)
+        .to.equal("flagged");
+      expect(queueSetStub.firstCall.args[0]).to.include({
+        type: "snap",
+        sourcePath: "snaps/snap1",
+        authorId: "vendor1",
+        status: "pending",
+      });
+      expect(queueSetStub.firstCall.args[0].reasons)
+        .to.deep.equal(["spam"]);
+    });
+
+    it("should flag messages the provider scores as harmful", async () => {
+      const savedKey = process.env.OPENAI_API_KEY;
+      process.env.AI_PROVIDER = "openai";
+      process.env.OPENAI_API_KEY = "test-key";
+      const moderationStub = sinon
+        .stub(OpenAI.Moderations.prototype, "create")
+        .resolves({
+          results: [{category_scores: {harassment: 0.7, violence: 0.1}}],
+        } as never);
+      try {
+        await testEnv.wrap(sendMessageNotification)({
+          data: testEnv.firestore.makeDocumentSnapshot(
+            {fromUid: "vendor1", toUid: "shopper1", text: "You again?"},
+            "messages/message1"
+          ),
+          params: {messageId: "message1"},
+        });
+      } finally {
+        process.env.AI_PROVIDER = "stub";
+        process.env.OPENAI_API_KEY = savedKey;
+      }
+
+      expect(moderationStub.firstCall.args[0].input).to.deep.equal([
+        {type: "text", text: "You again?"},
+      ]);
+      expect(queueSetStub.firstCall.args[0]).to.include({
+        type: "message",
+        authorId: "vendor1",
+      });
+      expect(queueSetStub.firstCall.args[0].reasons)
+        .to.deep.equal(["harassment"]);
+      expect(sendEachForMulticastStub.called).to.be.false;
+    });
+
+    it("should delete removed messages", async () => {
+      process.env.MODERATION_BLOCKLIST = "free crypto";
+      await testEnv.wrap(sendMessageNotification)({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {fromUid: "vendor1", toUid: "shopper1", text: "Free crypto here"},
+          "messages/message1"
+        ),
+        params: {messageId: "message1"},
+      });
+
+      expect(sourceDeleteStub.calledOnce).to.be.true;
+      expect(sourceSetStub.called).to.be.false;
+      expect(sendEachForMulticastStub.called).to.be.false;
+    });
+
+    it("should moderate an edited caption again", async () => {
+      process.env.MODERATION_BLOCKLIST = "free crypto";
+      const snap = {
+        vendorId: "vendor1",
+        caption: "Peaches are in",
+        status: "scheduled",
+        moderationStatus: "approved",
+      };
+      await testEnv.wrap(moderateSnapEditTopLevel)({
+        data: testEnv.makeChange(
+          testEnv.firestore.makeDocumentSnapshot(snap, "snaps/snap1"),
+          testEnv.firestore.makeDocumentSnapshot(
+            {...snap, caption: "Peaches and free crypto"},
+            "snaps/snap1"
+          )
+        ),
+        params: {snapId: "snap1"},
+      });
+
+      expect(sourceSetStub.firstCall.args[0]).to.include({
+        moderationStatus: "removed",
+        visible: false,
+        status: "removed",
+      });
+      expect(sendEachForMulticastStub.called).to.be.false;
+    });
+
+    it("should not moderate edits that leave the content alone",
+      async () => {
+        const snap = {vendorId: "vendor1", caption: "Peaches are in"};
+        await testEnv.wrap(moderateSnapEditTopLevel)({
+          data: testEnv.makeChange(
+            testEnv.firestore.makeDocumentSnapshot(snap, "snaps/snap1"),
+            testEnv.firestore.makeDocumentSnapshot(
+              {...snap, thumbnailUrl: "https://example.com/thumb.jpg"},
+              "snaps/snap1"
+            )
+          ),
+          params: {snapId: "snap1"},
+        });
+
+        expect(sourceSetStub.called).to.be.false;
+      });
+
+    it("should send the held push once a reviewer approves", async () => {
+      const queueUpdateStub = sinon.stub().resolves();
+      collectionStub.withArgs("moderationQueue").returns({
+        doc: () => ({
+          get: () => Promise.resolve({
+            exists: true,
+            data: () => ({
+              type: "broadcast",
+              sourcePath: "broadcasts/broadcast1",
+              status: "pending",
+            }),
+          }),
+          update: queueUpdateStub,
+        }),
+      } as unknown as FirebaseFirestore.CollectionReference);
+      (admin.firestore().doc as sinon.SinonStub).returns({
+        id: "broadcast1",
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({
+            vendorUid: "vendor1",
+            message: "Half-price peaches, see www.example.com",
+            moderationStatus: "flagged",
+          }),
+        }),
+        set: sourceSetStub,
+      });
+
+      const result = await testEnv.wrap(reviewModeration)({
+        data: {queueId: "broadcasts_broadcast1", decision: "approved"},
+        auth: {uid: "admin1", token: {admin: true}},
+      });
+
+      expect(result).to.deep.equal({
+        queueId: "broadcasts_broadcast1",
+        status: "approved",
+        released: true,
+      });
+      expect(sourceSetStub.firstCall.args[0]).to.include({
+        moderationStatus: "approved",
+        moderationReviewedBy: "admin1",
+      });
+      expect(queueUpdateStub.firstCall.args[0].status).to.equal("approved");
+      expect(sendEachForMulticastStub.firstCall.args[0].notification.body)
+        .to.equal("Half-price peaches, see www.example.com");
+    });
+
+    it("should only let admins review", async () => {
+      try {
+        await testEnv.wrap(reviewModeration)({
+          data: {queueId: "snaps_snap1", decision: "approved"},
+          auth: {uid: "vendor1", token: {}},
+        });
+        expect.fail("Expected permission-denied");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("permission-denied");
+      }
+    });
+  });
+
+  describe("scheduled publishing", () => {
+    const hour = 60 * 60 * 1000;
+
+    beforeEach(() => {
+      docStub.withArgs("vendor1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          data: () => ({stallName: "Sunrise Organic Farm"}),
+        }),
+      });
+      collectionStub.withArgs("vendors/vendor1/followers")
+        .returns(pagedQuery({
+          get: () => Promise.resolve({
+            empty: false,
+            docs: [{id: "follower1", data: () => ({fcmToken: "token1"})}],
+          }),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+    });
+
+    it("should hold broadcasts scheduled for later", async () => {
+      const wrapped = testEnv.wrap(fanOutBroadcastTopLevel);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {
+            vendorUid: "vendor1",
+            message: "We're open, strawberries are in!",
+            publishAt: admin.firestore.Timestamp.fromMillis(
+              Date.now() + 10 * hour
+            ),
+          },
+          "broadcasts/broadcast1"
+        ),
+        params: {broadcastId: "broadcast1"},
+      });
+
+      expect(sendEachForMulticastStub.called).to.be.false;
+      expect(sourceSetStub.firstCall.args[0].moderationStatus)
+        .to.equal("approved");
+      expect(sourceSetStub.secondCall.args[0]).to.deep.equal({
+        status: "scheduled",
+        visible: false,
+      });
+    });
+
+    it("should hold scheduled items created as published", async () => {
+      const wrapped = testEnv.wrap(fanOutBroadcastTopLevel);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {
+            vendorUid: "vendor1",
+            message: "We're open, strawberries are in!",
+            status: "published",
+            publishAt: admin.firestore.Timestamp.fromMillis(
+              Date.now() + 10 * hour
+            ),
+          },
+          "broadcasts/broadcast1"
+        ),
+        params: {broadcastId: "broadcast1"},
+      });
+
+      expect(sendEachForMulticastStub.called).to.be.false;
+      expect(sourceSetStub.secondCall.args[0]).to.deep.equal({
+        status: "scheduled",
+        visible: false,
+      });
+    });
+
+    it("should publish due broadcasts and notify followers", async () => {
+      const createdAt = Date.now() - 10 * hour;
+      const updateStub = sinon.stub().resolves();
+      const dueQuery = (docs: object[]) => {
+        const query = {
+          where: () => query,
+          limit: () => query,
+          get: () => Promise.resolve({docs}),
+        };
+        return query as unknown as FirebaseFirestore.CollectionReference;
+      };
+      collectionStub.withArgs("broadcasts").returns(dueQuery([{
+        id: "broadcast1",
+        ref: {path: "broadcasts/broadcast1", update: updateStub},
+        updateTime: "update-time",
+        data: () => ({
+          vendorUid: "vendor1",
+          message: "We're open, strawberries are in!",
+          status: "scheduled",
+          publishAt: admin.firestore.Timestamp.fromMillis(Date.now()),
+          createdAt: admin.firestore.Timestamp.fromMillis(createdAt),
+          expiresAt: admin.firestore.Timestamp.fromMillis(
+            createdAt + 24 * hour
+          ),
+        }),
+      }]));
+      collectionStub.withArgs("snaps").returns(dueQuery([]));
+
+      await publishScheduledContent.run({} as never);
+
+      const [updates, precondition] = updateStub.firstCall.args;
+      expect(updates.status).to.equal("published");
+      expect(updates.visible).to.be.true;
+      expect(updates.expiresAt.toMillis() - updates.publishedAt.toMillis())
+        .to.equal(24 * hour);
+      expect(precondition).to.deep.equal({lastUpdateTime: "update-time"});
+      expect(sendEachForMulticastStub.calledOnce).to.be.true;
+      expect(sendEachForMulticastStub.firstCall.args[0].notification.body)
+        .to.equal("We're open, strawberries are in!");
+    });
+
+    it("should let a vendor reschedule before publishing", async () => {
+      const updateStub = sinon.stub().resolves();
+      docStub.withArgs("broadcast1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          updateTime: "update-time",
+          data: () => ({vendorUid: "vendor1", status: "scheduled"}),
+        }),
+        update: updateStub,
+      });
+      const publishAt = new Date(Date.now() + 12 * hour);
+
+      const wrapped = testEnv.wrap(updateScheduledContent);
+      const result = await wrapped({
+        data: {
+          type: "broadcast",
+          id: "broadcast1",
+          publishAt: publishAt.toISOString(),
+        },
+        auth: {uid: "vendor1"},
+      });
+
+      expect(result.status).to.equal("scheduled");
+      expect(updateStub.firstCall.args[0].publishAt.toMillis())
+        .to.equal(publishAt.getTime());
+    });
+
+    it("should delete a scheduled item when it is cancelled", async () => {
+      const deleteStub = sinon.stub().resolves();
+      docStub.withArgs("broadcast1").returns({
+        get: () => Promise.resolve({
+          exists: true,
+          updateTime: "update-time",
+          data: () => ({vendorUid: "vendor1", status: "scheduled"}),
+        }),
+        delete: deleteStub,
+      });
+
+      const wrapped = testEnv.wrap(updateScheduledContent);
+      const result = await wrapped({
+        data: {type: "broadcast", id: "broadcast1", cancel: true},
+        auth: {uid: "vendor1"},
+      });
+
+      expect(result.status).to.equal("cancelled");
+      expect(deleteStub.firstCall.args[0])
+        .to.deep.equal({lastUpdateTime: "update-time"});
+    });
+
+    it("should send legacy items with a publishAt right away", async () => {
+      const wrapped = testEnv.wrap(fanOutBroadcast);
+      await wrapped({
+        data: testEnv.firestore.makeDocumentSnapshot(
+          {
+            message: "We're open, strawberries are in!",
+            publishAt: admin.firestore.Timestamp.fromMillis(
+              Date.now() + 10 * hour
+            ),
+          },
+          "vendors/vendor1/broadcasts/broadcast1"
+        ),
+        params: {vendorId: "vendor1", broadcastId: "broadcast1"},
+      });
+
+      expect(sendEachForMulticastStub.calledOnce).to.be.true;
+      const writes = sourceSetStub.getCalls().map((call) => call.args[0]);
+      expect(writes.some((data) => data.status === "scheduled")).to.be.false;
+    });
+  });
+
+  describe("sendMessageNotification", () => {
+    it("should handle message creation event", async () => {
+      // Mock Firestore data for a new message
+      const message = testEnv.firestore.makeDocumentSnapshot(
+        {
+          fromUid: "test-sender-id",
+          toUid: "test-recipient-id",
+          text: "Hello! Are your apples organic?",
+          conversationId: "test-sender-id_test-recipient-id",
+          createdAt: new Date(),
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000), // 24h
+          isRead: false,
+        },
+        "messages/test-message-id"
+      );
+
+      // Create a mock function
+      const wrapped = testEnv.wrap(sendMessageNotification);
+
+      // Mock the event
+      const event = {
+        data: message,
+        params: {
+          messageId: "test-message-id",
+        },
+      };
+
+      // This should not throw an error
+      await wrapped(event);
+    });
+
+    it("should handle message with missing required fields gracefully",
+      async () => {
+      // Mock Firestore data with missing fields
+        const invalidMessage = testEnv.firestore.makeDocumentSnapshot(
+          {
+            fromUid: "test-sender-id",
+            // Missing toUid, text, conversationId
+            createdAt: new Date(),
+            isRead: false,
+          },
+          "messages/test-invalid-message-id"
+        );
+
+        // Create a mock function
+        const wrapped = testEnv.wrap(sendMessageNotification);
+
+        // Mock the event
+        const event = {
+          data: invalidMessage,
+          params: {
+            messageId: "test-invalid-message-id",
+          },
+        };
+
+        // This should not throw an error (should handle gracefully)
+        await wrapped(event);
+      });
+
+    it("should badge the unread count and thread by conversation",
+      async () => {
+        getStub.resolves({exists: false, data: () => undefined});
+        deviceDocs = [
+          {data: () => ({uid: "shopper1", token: "phone-token"})},
+        ];
+        unreadCount = 3;
+        sendEachForMulticastStub.resolves({successCount: 1, failureCount: 0});
+
+        const wrapped = testEnv.wrap(sendMessageNotification);
+        await wrapped({
+          data: testEnv.firestore.makeDocumentSnapshot(
+            {
+              fromUid: "vendor1",
+              toUid: "shopper1",
+              text: "Ready for pickup",
+              conversationId: "shopper1_vendor1",
+            },
+            "messages/message1"
+          ),
+          params: {messageId: "message1"},
+        });
+
+        const callArgs = sendEachForMulticastStub.firstCall.args[0];
+        expect(callArgs.apns.payload.aps).to.deep.equal({
+          badge: 3,
+          threadId: "shopper1_vendor1",
+        });
+        expect(callArgs.android.notification.tag)
+          .to.equal("shopper1_vendor1");
+        expect(callArgs.data.conversationId).to.equal("shopper1_vendor1");
+      });
+
+    it("should not notify a recipient who has the conversation open",
+      async () => {
+        getStub.resolves({exists: false, data: () => undefined});
+        docStub.withArgs("shopper1").returns({
+          get: () => Promise.resolve({
+            exists: true,
+            data: () => ({
+              conversationId: "shopper1_vendor1",
+              expiresAt: admin.firestore.Timestamp.fromMillis(
+                Date.now() + 60 * 1000
+              ),
+            }),
+          }),
+        });
+        deviceDocs = [
+          {data: () => ({uid: "shopper1", token: "phone-token"})},
+        ];
+
+        const wrapped = testEnv.wrap(sendMessageNotification);
+        await wrapped({
+          data: testEnv.firestore.makeDocumentSnapshot(
+            {fromUid: "vendor1", toUid: "shopper1", text: "Ready for pickup"},
+            "messages/message1"
+          ),
+          params: {messageId: "message1"},
+        });
+
+        expect(sendEachForMulticastStub.called).to.be.false;
+      });
+
+    it("should only let users open their own conversations", async () => {
+      const wrapped = testEnv.wrap(setActiveConversation);
+      try {
+        await wrapped({
+          data: {conversationId: "shopper2_vendor1"},
+          auth: {uid: "shopper1"},
+        });
+        expect.fail("setActiveConversation should have thrown");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("invalid-argument");
+      }
+      expect(setStub.called).to.be.false;
+    });
+  });
+
+  describe("AI providers", () => {
+    const auth = {uid: "user-1"};
+
+    beforeEach(() => stubAIUsage(new Map()));
+
+    afterEach(() => {
+      process.env.AI_PROVIDER = "stub";
+    });
+
+    it("should generate captions with the stub provider", async () => {
+      const wrapped = testEnv.wrap(generateCaption);
+      const request = {
+        data: {mediaType: "photo", vendorProfile: {stallName: "Farm"}},
+        auth,
+      };
+
+      const first = await wrapped(request);
+      const second = await wrapped(request);
+
+      expect(first.model).to.equal("stub-chat");
+      expect(first.caption).to.match(/^Stub response/);
+      expect(second.caption).to.equal(first.caption);
+      expect(first.variants).to.have.length(1);
+    });
+
+    it("should embed search queries with the stub provider", async () => {
+      const faqQuery = {
+        limit: () => faqQuery,
+        where: () => faqQuery,
+        get: () => Promise.resolve({
+          empty: false,
+          docs: [{
+            id: "faq-1",
+            data: () => ({
+              question: "Are the tomatoes organic?",
+              answer: "Yes, grown without pesticides.",
+              vendorId: "vendor-1",
+            }),
+          }],
+        }),
+      };
+      collectionStub.withArgs("faqVectors")
+        .returns(faqQuery as unknown as
+          FirebaseFirestore.CollectionReference);
+
+      const wrapped = testEnv.wrap(vectorSearchFAQ);
+      const result = await wrapped({
+        data: {query: "organic tomatoes", vendorId: "vendor-1"},
+        auth,
+      });
+
+      expect(result.results).to.have.length(1);
+      expect(result.results[0].faqId).to.equal("faq-1");
+    });
+
+    it("should reject calls when OpenAI has no API key", async () => {
+      process.env.AI_PROVIDER = "openai";
+      const savedKey = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+
+      const wrapped = testEnv.wrap(generateCaption);
+      try {
+        await wrapped({data: {mediaType: "photo"}, auth});
+        expect.fail("Expected the call to be rejected");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("internal");
+      } finally {
+        if (savedKey !== undefined) process.env.OPENAI_API_KEY = savedKey;
+      }
+    });
+  });
+
+  describe("FAQ search", () => {
+    beforeEach(() => stubAIUsage(new Map()));
+
+    /**
+     * Serves the given FAQ vector documents from the faqVectors collection.
+     * @param {object[]} faqs The FAQ documents, each with an id.
+     */
+    const stubFaqVectors = (faqs: {id: string; [key: string]: unknown}[]) => {
+      const faqQuery = {
+        limit: () => faqQuery,
+        where: () => faqQuery,
+        get: () => Promise.resolve({
+          empty: faqs.length === 0,
+          docs: faqs.map((faq) => ({id: faq.id, data: () => faq})),
+        }),
+      };
+      collectionStub.withArgs("faqVectors")
+        .returns(faqQuery as unknown as
+          FirebaseFirestore.CollectionReference);
+    };
+
+    it("should refuse searches not scoped to a vendor", async () => {
+      try {
+        await testEnv.wrap(vectorSearchFAQ)({
+          data: {query: "who sells apples"},
+          auth: {uid: "user-1"},
+        });
+        expect.fail("Expected the call to be rejected");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("invalid-argument");
+      }
+    });
+
+    it("should fuse keyword and embedding ranks", async () => {
+      const query = "do you spray anything on the apples";
+      stubFaqVectors([
+        {
+          id: "faq-keyword",
+          question: "Do you have apples on sale?",
+          answer: "Only on Saturdays.",
+          embedding: stubEmbedding("weekend discounts"),
+          embeddingModel: "stub-embedding-256",
+        },
+        {
+          id: "faq-semantic",
+          question: "What are your orchard practices?",
+          answer: "Our orchard is pesticide-free.",
+          // Stands in for a model that places these close together
+          embedding: stubEmbedding(query),
+          embeddingModel: "stub-embedding-256",
+        },
+        {
+          id: "faq-both",
+          question: "Do you spray the apples?",
+          answer: "Never, our orchard is pesticide-free.",
+          embedding: stubEmbedding("spray apples"),
+          embeddingModel: "stub-embedding-256",
+        },
+      ]);
+
+      const wrapped = testEnv.wrap(vectorSearchFAQ);
+      const result = await wrapped({
+        data: {query, vendorId: "vendor-1"},
+        auth: {uid: "user-1"},
+      });
+
+      expect(result.searchMethod).to.equal("hybrid");
+      expect(result.results.map((r: {faqId: string}) => r.faqId))
+        .to.deep.equal(["faq-both", "faq-semantic", "faq-keyword"]);
+      expect(result.results.map((r: {matchType: string}) => r.matchType))
+        .to.deep.equal(["hybrid", "embedding", "keyword"]);
+      expect(result.results[0].signals).to.equal(undefined);
+    });
+
+    it("should re-rank by preferences without outweighing relevance",
+      async () => {
+        const query = "do you spray anything on the apples";
+        stubFaqVectors([
+          {
+            id: "faq-keyword",
+            question: "Do you have apples on sale?",
+            answer: "Only on Saturdays.",
+          },
+          {
+            id: "faq-both",
+            question: "Do you spray the apples?",
+            answer: "Never, our orchard is pesticide-free.",
+            embedding: stubEmbedding(query),
+            embeddingModel: "stub-embedding-256",
+          },
+          {
+            id: "faq-sale",
+            question: "Are apples on sale this week?",
+            answer: "Yes, our apples are two pounds for five dollars.",
+          },
+        ]);
+
+        const result = await testEnv.wrap(vectorSearchFAQ)({
+          data: {
+            query,
+            vendorId: "vendor-1",
+            debug: true,
+            userPreferences: {preferredKeywords: ["saturday"]},
+          },
+          auth: {uid: "user-1"},
+        });
+
+        expect(result.results.map((r: {faqId: string}) => r.faqId))
+          .to.deep.equal(["faq-both", "faq-keyword", "faq-sale"]);
+        expect(result.results[1].signals.preference)
+          .to.deep.equal({score: 0.15, rank: 1});
+        expect(result.results[2].signals.preference).to.equal(null);
+      });
+
+    it("should stem terms and explain ranks in debug mode", async () => {
+      stubFaqVectors([
+        {id: "faq-honey", question: "Is the honey raw?", answer: "Yes."},
+        {
+          id: "faq-tomato",
+          question: "Is this tomato organic?",
+          answer: "Certified organic, picked ripe.",
+        },
+      ]);
+
+      const result = await testEnv.wrap(vectorSearchFAQ)({
+        data: {query: "Got any TOMATOES?", vendorId: "vendor-1", debug: true},
+        auth: {uid: "user-1"},
+      });
+
+      expect(result.debug.queryTerms).to.deep.equal(["tomato"]);
+      expect(result.results).to.have.length(1);
+      expect(result.results[0].faqId).to.equal("faq-tomato");
+      expect(result.results[0].signals.lexical.rank).to.equal(1);
+      expect(result.results[0].signals.semantic).to.equal(null);
+      expect(result.results[0].signals.quality).to.deep.equal({
+        score: 0,
+        rank: 1,
+      });
+      // Top keyword rank and quality rank, out of a total weight of 2.4
+      expect(result.results[0].score).to.equal(0.458);
+    });
+
+    it("should fall back to keywords for FAQs without embeddings",
+      async () => {
+        stubFaqVectors([
+          {
+            id: "faq-new",
+            question: "Are the tomatoes organic?",
+            answer: "Yes.",
+            embedding: null,
+          },
+          {
+            id: "faq-old-model",
+            question: "Is the honey raw?",
+            answer: "Yes, unfiltered.",
+            embedding: stubEmbedding("raw honey"),
+            embeddingModel: "text-embedding-ada-002",
+          },
+          {
+            id: "faq-embedded",
+            question: "Do you deliver?",
+            answer: "No.",
+            embedding: stubEmbedding("delivery"),
+            embeddingModel: "stub-embedding-256",
+          },
+        ]);
+
+        const wrapped = testEnv.wrap(vectorSearchFAQ);
+        const result = await wrapped({
+          data: {query: "organic tomatoes", vendorId: "vendor-1"},
+          auth: {uid: "user-1"},
+        });
+
+        expect(result.searchMethod).to.equal("hybrid");
+        expect(result.results).to.have.length(1);
+        expect(result.results[0].faqId).to.equal("faq-new");
+        expect(result.results[0].matchType).to.equal("keyword");
+      });
+
+    it("should blend feedback quality into the ranking", async () => {
+      const query = "is the honey raw";
+      const faq = {
+        question: "Is the honey raw?",
+        answer: "Yes, unfiltered.",
+        embedding: stubEmbedding(query),
+        embeddingModel: "stub-embedding-256",
+      };
+      stubFaqVectors([
+        {id: "faq-disliked", ...faq, qualityScore: -0.8},
+        {id: "faq-liked", ...faq, qualityScore: 0.6},
+        {id: "faq-unrated", ...faq},
+      ]);
+
+      const result = await testEnv.wrap(vectorSearchFAQ)({
+        data: {query, vendorId: "vendor-1"},
+        auth: {uid: "user-1"},
+      });
+
+      expect(result.results.map((r: {faqId: string}) => r.faqId))
+        .to.deep.equal(["faq-liked", "faq-unrated", "faq-disliked"]);
+      expect(result.results[2].qualityScore).to.equal(-0.8);
+      // Feedback breaks the tie without outweighing relevance
+      expect(result.results[2].score).to.be.closeTo(0.874, 0.001);
+    });
+  });
+
+  describe("FAQ quality", () => {
+    const now = Date.UTC(2026, 5, 1);
+    let clock: sinon.SinonFakeTimers;
+
+    /**
+     * Builds a ragFeedback document.
+     * @param {string} faqId The FAQ the feedback is about.
+     * @param {string} userId The shopper who gave it.
+     * @param {string} action The shopper's action.
+     * @param {number} daysAgo How long ago it was given.
+     * @return {object} The feedback document snapshot.
+     */
+    const feedbackDoc = (
+      faqId: string,
+      userId: string,
+      action: string,
+      daysAgo = 0
+    ) => ({
+      data: () => ({
+        contentType: "faq",
+        contentId: faqId,
+        userId,
+        action,
+        createdAt: admin.firestore.Timestamp.fromMillis(
+          now - daysAgo * 24 * 60 * 60 * 1000
+        ),
+      }),
+    });
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({now, toFake: ["Date"]});
+    });
+
+    afterEach(() => clock.restore());
+
+    it("should score, decay and flag FAQs from feedback", async () => {
+      const feedback = [
+        // A shopper who changed their mind counts once, with the new vote
+        feedbackDoc("faq-1", "shopper-0", "upvote", 10),
+        ...[0, 1, 2, 3, 4].map((i) =>
+          feedbackDoc("faq-1", `shopper-${i}`, "downvote", 2)),
+        // Too few voters to score
+        ...[0, 1, 2].map((i) =>
+          feedbackDoc("faq-2", `shopper-${i}`, "upvote")),
+        feedbackDoc("faq-2", "shopper-3", "expand"),
+      ];
+      collectionStub.withArgs("ragFeedback")
+        .returns(pagedQuery({
+          where: () => pagedQuery({
+            where: () => pagedQuery({
+              get: () => Promise.resolve({docs: feedback}),
+            }),
+          }),
+        }) as unknown as FirebaseFirestore.CollectionReference);
+      const staleQuery = {get: () => Promise.resolve({docs: [], size: 0})};
+      collectionStub.withArgs("faqVectors").returns({
+        doc: (id: string) => ({id}),
+        where: () => staleQuery,
+      } as unknown as FirebaseFirestore.CollectionReference);
+      preferenceDocs = [
+        {
+          id: "faq-1",
+          exists: true,
+          data: () => ({
+            vendorId: "vendor-1",
+            chunkCount: 2,
+            qualityNegativeRuns: 2,
+          }),
+        },
+        {id: "faq-2", exists: true, data: () => ({vendorId: "vendor-1"})},
+      ];
+
+      await aggregateFAQFeedback.run({} as never);
+
+      const written = (id: string) => batchSetStub.getCalls()
+        .filter((call) => call.args[0].id === id)
+        .map((call) => call.args[1]);
+      const [faq1] = written("faq-1");
+      expect(faq1.qualityVotes).to.equal(5);
+      // Five downvotes two days old: 5 * 0.5^(2/30) each side of the prior
+      expect(faq1.qualityScore).to.be.closeTo(-0.705, 0.001);
+      expect(faq1).to.include({qualityNegativeRuns: 3, needsRewrite: true});
+      expect(written("faq-1_chunk1")).to.deep.equal([faq1]);
+      expect(written("faq-2")[0]).to.include({
+        qualityScore: null,
+        qualityVotes: 3,
+        needsRewrite: false,
+      });
+    });
+  });
+
+  describe("embedding re-index", () => {
+    it("should only let admins start a re-index", async () => {
+      const wrapped = testEnv.wrap(startEmbeddingReindex);
+      try {
+        await wrapped({
+          data: {model: "text-embedding-3-large"},
+          auth: {uid: "user-1", token: {}},
+        });
+        expect.fail("Expected the call to be rejected");
+      } catch (error) {
+        expect((error as {code: string}).code)
+          .to.equal("permission-denied");
+      }
+      expect(enqueueStub.called).to.equal(false);
+    });
+
+    it("should stage new embeddings and cut over when done", async () => {
+      const jobUpdate = sinon.stub();
+      const jobRef = {
+        id: "job-1",
+        update: jobUpdate,
+        get: () => Promise.resolve({
+          data: () => ({
+            targetModel: "stub-embedding-256",
+            status: "embedding",
+            cutover: true,
+            cursor: null,
+          }),
+        }),
+      };
+      collectionStub.withArgs("embeddingReindexJobs")
+        .returns({doc: () => jobRef} as unknown as
+          FirebaseFirestore.CollectionReference);
+      const configRef = {id: "faqEmbeddings"};
+      collectionStub.withArgs("config")
+        .returns({doc: () => configRef} as unknown as
+          FirebaseFirestore.CollectionReference);
+
+      const faqDocs = [
+        {
+          id: "faq-1",
+          ref: {id: "faq-1"},
+          data: () => ({
+            question: "Are the tomatoes organic?",
+            answer: "Yes.",
+            embedding: [0.1, 0.2],
+          }),
+        },
+        {
+          id: "faq-2",
+          ref: {id: "faq-2"},
+          data: () => ({
+            question: "Do you deliver?",
+            answer: "No.",
+            embedding: stubEmbedding("delivery"),
+            embeddingModel: "stub-embedding-256",
+          }),
+        },
+      ];
+      const pageQuery = {
+        orderBy: () => pageQuery,
+        limit: () => pageQuery,
+        startAfter: () => pageQuery,
+        get: () => Promise.resolve({docs: faqDocs}),
+      };
+      collectionStub.withArgs("faqVectors")
+        .returns(pageQuery as unknown as
+          FirebaseFirestore.CollectionReference);
+
+      await runEmbeddingReindex.run({
+        data: {jobId: "job-1", phase: "embed"},
+      } as never);
+
+      // Only the FAQ still on the legacy model is re-embedded
+      const staged = batchUpdateStub.getCalls()
+        .filter((call) => call.args[0].id === "faq-1");
+      expect(staged).to.have.length(1);
+      expect(staged[0].args[1].nextEmbeddingModel)
+        .to.equal("stub-embedding-256");
+      expect(staged[0].args[1].nextEmbedding.toArray()).to.have.length(256);
+      expect(batchUpdateStub.calledWith({id: "faq-2"})).to.equal(false);
+
+      const progress = batchUpdateStub.getCalls()
+        .find((call) => call.args[0] === jobRef);
+      expect(progress?.args[1].status).to.equal("ready");
+      expect(progress?.args[1].processed.operand).to.equal(2);
+
+      // The cutover flag switches search and starts promotion
+      expect(batchSetStub.calledWith(configRef,
+        sinon.match({activeModel: "stub-embedding-256"}))).to.equal(true);
+      expect(enqueueStub.calledWith(
+        sinon.match({jobId: "job-1", phase: "promote"}))).to.equal(true);
+    });
+  });
+
+  describe("FAQ vector sync", () => {
+    const path = "faqs/faq-1";
+    const faq = {
+      vendorId: "vendor-1",
+      question: "How do you grow your apples?",
+      answer: "We use pesticide-free orchard practices.",
+      category: "produce",
+      keywords: ["apples"],
+    };
+
+    /**
+     * Serves the given existing chunk vectors for faq-1.
+     * @param {string[]} ids The existing faqVectors document ids.
+     */
+    const stubExistingVectors = (ids: string[]) => {
+      const vectors = {
+        where: () => vectors,
+        get: () => Promise.resolve({
+          empty: ids.length === 0,
+          size: ids.length,
+          docs: ids.map((id) => ({id, ref: {id}})),
+        }),
+        doc: (id: string) => ({id}),
+      };
+      collectionStub.withArgs("faqVectors")
+        .returns(vectors as unknown as
+          FirebaseFirestore.CollectionReference);
+    };
+
+    it("should skip changes that only touch metadata", async () => {
+      stubExistingVectors(["faq-1"]);
+      const change = testEnv.makeChange(
+        testEnv.firestore.makeDocumentSnapshot({...faq, views: 1}, path),
+        testEnv.firestore.makeDocumentSnapshot({...faq, views: 2}, path)
+      );
+
+      await testEnv.wrap(syncFAQVectors)({
+        data: change,
+        params: {faqId: "faq-1"},
+      });
+
+      expect(batchSetStub.called).to.equal(false);
+      expect(batchUpdateStub.called).to.equal(false);
+    });
+
+    it("should split long answers into chunks of the parent FAQ",
+      async () => {
+        stubExistingVectors(["faq-1", "faq-1_chunk1", "faq-1_chunk2"]);
+        const longAnswer = "We never spray the trees. ".repeat(50);
+        const change = testEnv.makeChange(
+          testEnv.firestore.makeDocumentSnapshot(faq, path),
+          testEnv.firestore.makeDocumentSnapshot(
+            {...faq, answer: longAnswer},
+            path
+          )
+        );
+
+        await testEnv.wrap(syncFAQVectors)({
+          data: change,
+          params: {faqId: "faq-1"},
+        });
+
+        const chunks = batchSetStub.getCalls().map((call) => call.args[1]);
+        expect(batchSetStub.getCalls().map((call) => call.args[0].id))
+          .to.deep.equal(["faq-1", "faq-1_chunk1"]);
+        chunks.forEach((chunk, i) => {
+          expect(chunk.faqId).to.equal("faq-1");
+          expect(chunk.chunkIndex).to.equal(i);
+          expect(chunk.chunkCount).to.equal(2);
+          expect(chunk.chunkText.length).to.be.below(900);
+          expect(chunk.embeddingModel).to.equal("stub-embedding-256");
+        });
+        // The answer is shorter than before, so the third chunk goes
+        expect(batchDeleteStub.calledOnce).to.equal(true);
+        expect(batchDeleteStub.firstCall.args[0].id).to.equal("faq-1_chunk2");
+      });
+
+    it("should delete every vector when the FAQ is deleted", async () => {
+      stubExistingVectors(["faq-1", "faq-1_chunk1"]);
+      const change = testEnv.makeChange(
+        testEnv.firestore.makeDocumentSnapshot(faq, path),
+        testEnv.firestore.makeDocumentSnapshot({}, path)
+      );
+
+      await testEnv.wrap(syncFAQVectors)({
+        data: change,
+        params: {faqId: "faq-1"},
+      });
+
+      expect(batchDeleteStub.getCalls().map((call) => call.args[0].id))
+        .to.have.members(["faq-1", "faq-1_chunk1"]);
+      expect(batchSetStub.called).to.equal(false);
+    });
+  });
+
+  describe("AI quotas", () => {
+    beforeEach(() => {
+      // Keep every call inside the same quota minute
+      sinon.useFakeTimers({
+        now: Date.UTC(2026, 9, 19, 12, 0, 10),
+        toFake: ["Date"],
+      });
+    });
+
+    it("should reject calls over the per-minute quota", async () => {
+      const usage = new Map<string, object>();
+      stubAIUsage(usage);
+      const wrapped = testEnv.wrap(generateCaption);
+      const request = {data: {mediaType: "photo"}, auth: {uid: "user-1"}};
+
+      // The free tier allows five captions a minute
+      for (let i = 0; i < 5; i++) {
+        await wrapped(request);
+      }
+      try {
+        await wrapped(request);
+        expect.fail("Expected the call to be rejected");
+      } catch (error) {
+        const httpsError = error as {
+          code: string;
+          details: {retryAfterSeconds: number};
+        };
+        expect(httpsError.code).to.equal("resource-exhausted");
+        expect(httpsError.details.retryAfterSeconds)
+          .to.be.within(1, 60);
+      }
+      expect(usage.get("user_user-1_generateCaption"))
+        .to.include({minuteCount: 5, dayCount: 5});
+    });
+
+    /**
+     * Marks a vendor's daily caption allowance as used up.
+     * @param {Map<string, object>} usage The quota counters.
+     */
+    const exhaustVendor = (usage: Map<string, object>) => {
+      usage.set("vendor_vendor-1_generateCaption", {
+        minuteWindow: 0,
+        minuteCount: 0,
+        dayWindow: Math.floor(Date.now() / (24 * 60 * 60 * 1000)),
+        dayCount: 100000,
+      });
+    };
+
+    it("should count a vendor's own calls against the vendor", async () => {
+      const usage = new Map<string, object>();
+      stubAIUsage(usage);
+      exhaustVendor(usage);
+
+      const wrapped = testEnv.wrap(generateCaption);
+      try {
+        await wrapped({
+          data: {mediaType: "photo", vendorId: "vendor-1"},
+          auth: {uid: "vendor-1"},
+        });
+        expect.fail("Expected the call to be rejected");
+      } catch (error) {
+        const httpsError = error as {
+          code: string;
+          details: {scope: string; retryAfterSeconds: number};
+        };
+        expect(httpsError.code).to.equal("resource-exhausted");
+        expect(httpsError.details.scope).to.equal("vendor");
+        expect(httpsError.details.retryAfterSeconds).to.be.above(0);
+      }
+      expect(usage.has("user_vendor-1_generateCaption")).to.equal(false);
+    });
+
+    it("should not charge shoppers' calls to the vendor", async () => {
+      const usage = new Map<string, object>();
+      stubAIUsage(usage);
+      exhaustVendor(usage);
+
+      const wrapped = testEnv.wrap(generateCaption);
+      await wrapped({
+        data: {mediaType: "photo", vendorId: "vendor-1"},
+        auth: {uid: "user-1"},
+      });
+
+      expect(usage.get("user_user-1_generateCaption"))
+        .to.include({minuteCount: 1});
+      expect(usage.get("vendor_vendor-1_generateCaption"))
+        .to.include({dayCount: 100000});
+    });
+
+    it("should reject malformed calls without using quota", async () => {
+      const usage = new Map<string, object>();
+      stubAIUsage(usage);
+      const wrapped = testEnv.wrap(generateCaption);
+
+      for (const data of [
+        {mediaType: "photo", vendorId: "vendor-1/snaps"},
+        {mediaType: "photo", tone: "grumpy"},
+      ]) {
+        try {
+          await wrapped({data, auth: {uid: "user-1"}});
+          expect.fail("Expected the call to be rejected");
+        } catch (error) {
+          expect((error as {code: string}).code)
+            .to.equal("invalid-argument");
+        }
+      }
+      expect(usage.size).to.equal(0);
+    });
+
+    it("should require authentication", async () => {
+      const usage = new Map<string, object>();
+      stubAIUsage(usage);
+      const wrapped = testEnv.wrap(generateCaption);
+
+      try {
+        await wrapped({data: {mediaType: "photo"}});
+        expect.fail("Expected the call to be rejected");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("unauthenticated");
+      }
+      expect(usage.size).to.equal(0);
+    });
+
+    it("should give paid tiers higher limits", async () => {
+      const usage = new Map<string, object>();
+      stubAIUsage(usage);
+      preferenceDocs.push({
+        id: "user-1",
+        exists: true,
+        data: () => ({tier: "paid"}),
+      });
+      const wrapped = testEnv.wrap(generateCaption);
+      const request = {data: {mediaType: "photo"}, auth: {uid: "user-1"}};
+
+      for (let i = 0; i < 6; i++) {
+        await wrapped(request);
+      }
+      expect(usage.get("user_user-1_generateCaption"))
+        .to.include({minuteCount: 6});
+    });
+  });
+
+  describe("recipe cache", () => {
+    const request = {
+      data: {
+        caption: "Fresh heirloom tomatoes!",
+        keywords: ["tomatoes", "heirloom"],
+        mediaType: "photo",
+        vendorId: "vendor-1",
+      },
+      auth: {uid: "user-1"},
+    };
+    let cacheSetStub: sinon.SinonStub;
+    let cachedEntry: object | undefined;
+    let cacheKeys: string[];
+
+    beforeEach(() => {
+      stubAIUsage(new Map());
+      cacheSetStub = sinon.stub().resolves();
+      cachedEntry = undefined;
+      cacheKeys = [];
+      const cache = {
+        where: () => cache,
+        get: () => Promise.resolve({
+          empty: false,
+          size: 1,
+          docs: [{ref: {id: "stale-key"}}],
+        }),
+        doc: (key: string) => {
+          cacheKeys.push(key);
+          return {
+            get: () => Promise.resolve({data: () => cachedEntry}),
+            set: cacheSetStub,
+          };
+        },
+      };
+      collectionStub.withArgs("recipeCache")
+        .returns(cache as unknown as FirebaseFirestore.CollectionReference);
+    });
+
+    it("should cache generated recipes under a normalized key", async () => {
+      const wrapped = testEnv.wrap(getRecipeSnippet);
+      const first = await wrapped(request);
+      // Case, punctuation and keyword order do not change the key
+      await wrapped({
+        ...request,
+        data: {
+          ...request.data,
+          caption: "fresh  HEIRLOOM tomatoes",
+          keywords: ["heirloom", "Tomatoes"],
+        },
+      });
+
+      expect(first.fromCache).to.equal(false);
+      expect(first.cacheKey).to.match(/^[0-9a-f]{32}$/);
+      expect(cacheKeys).to.deep.equal([first.cacheKey, first.cacheKey]);
+      expect(cacheSetStub.firstCall.args[0]).to.include({
+        cacheKey: first.cacheKey,
+        vendorId: "vendor-1",
+      });
+    });
+
+    it("should return unexpired cache hits without generating", async () => {
+      cachedEntry = {
+        recipeName: "Tomato Salad",
+        snippet: "Simple and fresh.",
+        ingredients: ["tomatoes", "olive oil"],
+        category: "produce",
+        relevanceScore: 0.9,
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + 60000),
+      };
+
+      const result = await testEnv.wrap(getRecipeSnippet)(request);
+
+      expect(result.fromCache).to.equal(true);
+      expect(result.recipeName).to.equal("Tomato Salad");
+      expect(cacheSetStub.called).to.equal(false);
+    });
+
+    it("should drop cached recipes when a caption is edited", async () => {
+      const path = "snaps/snap-1";
+      const change = testEnv.makeChange(
+        testEnv.firestore.makeDocumentSnapshot(
+          {caption: "Fresh heirloom tomatoes!"},
+          path
+        ),
+        testEnv.firestore.makeDocumentSnapshot(
+          {caption: "Cherry tomatoes today"},
+          path
+        )
+      );
+
+      await testEnv.wrap(invalidateRecipeCacheTopLevel)({
+        data: change,
+        params: {snapId: "snap-1"},
+      });
+
+      expect(batchDeleteStub.calledWith({id: "stale-key"})).to.equal(true);
+    });
+  });
+
+  describe("structured recipes", () => {
+    const request = {
+      data: {caption: "Fresh goat cheese", vendorId: "vendor-1"},
+      auth: {uid: "user-1"},
+    };
+    const recipe = {
+      recipeName: "Herbed Goat Cheese Toast",
+      snippet: "A quick, creamy snack.",
+      ingredients: ["4 oz goat cheese", "4 slices bread", "1 tbsp herbs"],
+      steps: ["Toast the bread.", "Spread the cheese and add herbs."],
+      servings: 2,
+      prepTimeMinutes: 5,
+      cookTimeMinutes: 3,
+      dietaryTags: ["vegetarian"],
+      allergens: ["milk", "wheat"],
+      category: "dairy",
+      relevanceScore: 0.9,
+    };
+    let createStub: sinon.SinonStub;
+
+    useOpenAIProvider();
+
+    beforeEach(() => {
+      stubAIUsage(new Map());
+      collectionStub.withArgs("recipeCache").returns({
+        doc: () => ({
+          get: () => Promise.resolve({data: () => undefined}),
+          set: sinon.stub().resolves(),
+        }),
+      } as unknown as FirebaseFirestore.CollectionReference);
+      createStub = sinon.stub(OpenAI.Chat.Completions.prototype, "create");
+    });
+
+    it("should repair fenced JSON with trailing commas", async () => {
+      const json = JSON.stringify(recipe, null, 2).replace(/\n}$/, ",\n}");
+      createStub.resolves(completion("```json\n" + json + "\n```"));
+
+      const result = await testEnv.wrap(getRecipeSnippet)(request);
+
+      expect(createStub.calledOnce).to.equal(true);
+      expect(result).to.include({servings: 2, cookTimeMinutes: 3});
+      expect(result.steps).to.have.length(2);
+      expect(result.allergens).to.deep.equal(["milk", "wheat"]);
+    });
+
+    it("should retry with the validation errors", async () => {
+      createStub.onFirstCall()
+        .resolves(completion(JSON.stringify({...recipe, steps: "Toast"})));
+      createStub.onSecondCall().resolves(completion(JSON.stringify(recipe)));
+
+      const result = await testEnv.wrap(getRecipeSnippet)(request);
+
+      expect(createStub.calledTwice).to.equal(true);
+      const retryMessages = createStub.secondCall.args[0].messages;
+      expect(retryMessages[retryMessages.length - 1].content)
+        .to.contain("steps must be an array of strings");
+      expect(result.recipeName).to.equal("Herbed Goat Cheese Toast");
+    });
+
+    it("should exclude recipes that conflict with restrictions", async () => {
+      createStub.resolves(completion(JSON.stringify(recipe)));
+
+      const result = await testEnv.wrap(getRecipeSnippet)({
+        ...request,
+        data: {...request.data, dietaryRestrictions: ["dairy-free"]},
+      });
+
+      expect(createStub.callCount).to.equal(3);
+      expect(createStub.firstCall.args[0].messages[1].content)
+        .to.contain("SHOPPER DIETARY RESTRICTIONS: dairy-free");
+      expect(result.excludedByRestrictions).to.equal(true);
+      expect(result.recipeName).to.equal(null);
+      expect(result.category).to.equal("dairy");
+    });
+
+    it("should reject unknown dietary restrictions", async () => {
+      try {
+        await testEnv.wrap(getRecipeSnippet)({
+          ...request,
+          data: {...request.data, dietaryRestrictions: ["paleo"]},
+        });
+        expect.fail("Expected the call to be rejected");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("invalid-argument");
+      }
+    });
+  });
+
+  describe("caption variants", () => {
+    const auth = {uid: "user-1"};
+    let createStub: sinon.SinonStub;
+
+    useOpenAIProvider();
+
+    beforeEach(() => {
+      stubAIUsage(new Map());
+      createStub = sinon.stub(OpenAI.Chat.Completions.prototype, "create");
+    });
+
+    it("should rank variants by the scoring pass", async () => {
+      createStub.onFirstCall().resolves(completion({captions: [
+        {caption: "Lavender soap, cut by hand", hashtags: ["#soap"]},
+        {caption: "x".repeat(120), hashtags: []},
+        {caption: "Small-batch soap for slow mornings", hashtags: [
+          "handmade soap", "#Soap", "#SmallBatch!",
+        ]},
+        {caption: "lavender soap, cut by hand", hashtags: []},
+      ]}));
+      createStub.onSecondCall().resolves(completion({scores: [
+        {index: 1, score: 0.6},
+        {index: 2, score: 0.9},
+      ]}));
+
+      const result = await testEnv.wrap(generateCaption)({
+        data: {
+          mediaType: "photo",
+          tone: "premium",
+          language: "es-MX",
+          variantCount: 4,
+        },
+        auth,
+      });
+
+      const prompt = createStub.firstCall.args[0].messages[0].content;
+      expect(prompt).to.contain("premium").and.to.contain("es-MX");
+      expect(prompt).to.contain("never assume it is food");
+      expect(result.variants.map((v: {caption: string}) => v.caption))
+        .to.deep.equal([
+          "Small-batch soap for slow mornings",
+          "Lavender soap, cut by hand",
+        ]);
+      expect(result.variants[0]).to.include({rank: 1, confidence: 0.9});
+      expect(result.hashtags)
+        .to.deep.equal(["#handmadesoap", "#Soap", "#SmallBatch"]);
+      expect(result.caption).to.equal("Small-batch soap for slow mornings");
+      expect(result.confidence).to.equal(0.9);
+    });
+
+    it("should caption videos from evenly spaced frames", async () => {
+      createStub.onFirstCall().resolves(completion({captions: [
+        {caption: "Golden honey, poured slow", hashtags: [], frames: [2, 9]},
+      ]}));
+      createStub.onSecondCall().resolves(completion({scores: [
+        {index: 1, score: 0.8},
+      ]}));
+      const frames = Array.from({length: 6}, (_, i) => ({
+        imageBase64: `frame-${i}`,
+        timestampSeconds: i,
+      }));
+
+      const result = await testEnv.wrap(generateCaption)({
+        data: {mediaType: "video", frames, frameBudget: 3},
+        auth,
+      });
+
+      const content = createStub.firstCall.args[0].messages[0].content;
+      const urls = content
+        .filter((part: {type: string}) => part.type === "image_url")
+        .map((part: {image_url: {url: string}}) => part.image_url.url);
+      expect(urls).to.deep.equal([
+        "data:image/jpeg;base64,frame-1",
+        "data:image/jpeg;base64,frame-3",
+        "data:image/jpeg;base64,frame-5",
+      ]);
+      expect(result.frames.map((f: {timestampSeconds: number}) =>
+        f.timestampSeconds)).to.deep.equal([1, 3, 5]);
+      expect(result.frameIndexes).to.deep.equal([2]);
+      expect(result.variants[0].frameIndexes).to.deep.equal([2]);
+    });
+
+    it("should not sample other vendors' videos", async () => {
+      try {
+        await testEnv.wrap(generateCaption)({
+          data: {
+            mediaType: "video",
+            videoPath: "vendors/vendor-2/snaps/clip.mp4",
+          },
+          auth,
+        });
+        expect.fail("Expected the call to be rejected");
+      } catch (error) {
+        expect((error as {code: string}).code).to.equal("permission-denied");
+      }
+    });
+
+    it("should not download oversized videos", async () => {
+      const downloadStub = sinon.stub().resolves();
+      sinon.stub(admin.storage(), "bucket").returns({
+        file: () => ({
+          getMetadata: () => Promise.resolve([{size: "524288000"}]),
+          download: downloadStub,
+        }),
+      } as never);
+      createStub.resolves(completion({captions: [
+        {caption: "Fresh cut flowers", hashtags: ["#flowers"]},
+      ]}));
+
+      const result = await testEnv.wrap(generateCaption)({
+        data: {mediaType: "video", videoPath: "vendors/user-1/snaps/clip.mp4"},
+        auth,
+      });
+
+      expect(downloadStub.called).to.equal(false);
+      expect(result.frames).to.deep.equal([]);
+    });
+
+    it("should reject unknown tones and variant counts", async () => {
+      const wrapped = testEnv.wrap(generateCaption);
+      for (const data of [{tone: "grumpy"}, {variantCount: 6}]) {
+        try {
+          await wrapped({data, auth});
+          expect.fail("Expected the call to be rejected");
+        } catch (error) {
+          expect((error as {code: string}).code)
+            .to.equal("invalid-argument");
+        }
+      }
+      expect(createStub.called).to.equal(false);
+    });
+  });
+  describe("ask the market", () => {
+    const question = "Who sells gluten-free bread? Are they here Sunday?";
+    let chatStub: sinon.SinonStub;
+
+    useOpenAIProvider();
+
+    /**
+     * Serves documents from a collection through any chain of query calls.
+     * Equality filters are applied; other constraints are ignored.
+     * @param {string} name The collection.
+     * @param {object[]} docs The documents, each with an id.
+     */
+    const stubCollection = (
+      name: string,
+      docs: {id: string; [key: string]: unknown}[]
+    ) => {
+      let matching = docs;
+      const query = {
+        limit: () => query,
+        orderBy: () => query,
+        findNearest: () => query,
+        where: (field: string, op: string, value: unknown) => {
+          if (op === "==") {
+            matching = matching.filter((doc) => doc[field] === value);
+          }
+          return query;
+        },
+        doc: () => ({get: () => Promise.resolve({exists: false})}),
+        get: () => Promise.resolve({
+          empty: matching.length === 0,
+          docs: matching.map((doc) => ({id: doc.id, data: () => doc})),
+        }),
+      };
+      collectionStub.withArgs(name)
+        .returns(query as unknown as FirebaseFirestore.CollectionReference);
+    };
+
+    beforeEach(() => {
+      stubAIUsage(new Map());
+      stubCollection("faqVectors", [
+        {
+          id: "faq-bread_0",
+          faqId: "faq-bread",
+          vendorId: "vendor-2",
+          question: "Is your bread gluten-free?",
+          answer: "Our buckwheat loaf is, baked in a dedicated oven.",
+        },
+        {
+          id: "faq-honey_0",
+          faqId: "faq-honey",
+          vendorId: "vendor-1",
+          question: "Is the honey raw?",
+          answer: "Yes.",
+        },
+      ]);
+      stubCollection("vendors", [
+        {id: "vendor-1", stallName: "Bee Happy", marketCity: "Portland"},
+        {id: "vendor-2", stallName: "Crumb & Co", marketCity: "Portland"},
+      ]);
+      stubCollection("snaps", [
+        {
+          id: "snap-1",
+          vendorId: "vendor-2",
+          caption: "Gluten-free loaves!",
+          visible: true,
+        },
+        {
+          id: "snap-2",
+          vendorId: "vendor-1",
+          caption: "Honey bread tomorrow",
+          status: "scheduled",
+          visible: false,
+        },
+      ]);
+      sinon.stub(OpenAI.Embeddings.prototype, "create").resolves({
+        data: [{index: 0, embedding: stubEmbedding(question)}],
+      } as never);
+      chatStub = sinon.stub(OpenAI.Chat.Completions.prototype, "create");
+    });
+
+    it("should answer from cited sources only", async () => {
+      chatStub.resolves(completion({
+        answered: true,
+        answer: "Crumb & Co has gluten-free bread. Sunday hours are unknown.",
+        citations: ["faq:faq-bread", "snap:snap-1", "faq:invented"],
+      }));
+
+      const result = await testEnv.wrap(askMarket)({
+        data: {question},
+        auth: {uid: "user-1"},
+      });
+
+      expect(result.answered).to.equal(true);
+      expect(result.faqIds).to.deep.equal(["faq-bread"]);
+      expect(result.snapIds).to.deep.equal(["snap-1"]);
+      expect(result.vendorIds).to.deep.equal(["vendor-2"]);
+      expect(result.vendors[0].stallName).to.equal("Crumb & Co");
+      const prompt = chatStub.firstCall.args[0].messages[1].content;
+      expect(prompt).to.include("[faq:faq-bread] (vendor:vendor-2)");
+      expect(prompt).to.not.include("faq-honey");
+      expect(prompt).to.not.include("snap-2");
+    });
+
+    it("should not answer without a grounded citation", async () => {
+      chatStub.resolves(completion({
+        answered: true,
+        answer: "Bee Happy bakes on Sundays.",
+        citations: ["vendor:vendor-9"],
+      }));
+
+      const result = await testEnv.wrap(askMarket)({
+        data: {question},
+        auth: {uid: "user-1"},
+      });
+
+      expect(result.answered).to.equal(false);
+      expect(result.answer).to.match(/^I don't know/);
+      expect(result.vendorIds).to.deep.equal([]);
+    });
+
+    it("should say it does not know when nothing matches", async () => {
+      const result = await testEnv.wrap(askMarket)({
+        data: {question: "Any kombucha?"},
+        auth: {uid: "user-1"},
+      });
+
+      expect(result.answered).to.equal(false);
+      expect(result.answer).to.match(/^I don't know/);
+      expect(chatStub.called).to.equal(false);
+    });
+
+    it("should answer from matched vendors alone", async () => {
+      chatStub.resolves(completion({
+        answered: true,
+        answer: "Bee Happy and Crumb & Co are both in Portland.",
+        citations: ["vendor:vendor-1", "vendor:vendor-2"],
+      }));
+
+      const result = await testEnv.wrap(askMarket)({
+        data: {question: "Which stalls are in Portland?"},
+        auth: {uid: "user-1"},
+      });
+
+      expect(chatStub.calledOnce).to.equal(true);
+      expect(result.answered).to.equal(true);
+      expect(result.faqIds).to.deep.equal([]);
+      expect(result.vendorIds).to.deep.equal(["vendor-1", "vendor-2"]);
+    });
   });
 });
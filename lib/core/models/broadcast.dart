@@ -66,6 +66,8 @@ class Broadcast {
       'message': message,
       'createdAt': Timestamp.fromDate(createdAt),
       'expiresAt': Timestamp.fromDate(expiresAt),
+      // Feeds only read visible broadcasts; scheduling and moderation may hide it
+      'visible': true,
       if (latitude != null) 'latitude': latitude,
       if (longitude != null) 'longitude': longitude,
       if (locationName != null) 'locationName': locationName,
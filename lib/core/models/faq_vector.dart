@@ -13,6 +13,8 @@ class FAQVector {
   final String category; // Product category (produce, baked goods, etc.)
   final DateTime createdAt;
   final DateTime updatedAt;
+  final double? qualityScore; // Shopper feedback score (-1 to 1), if rated
+  final bool needsRewrite; // Flagged after persistently negative feedback
 
   FAQVector({
     required this.id,
@@ -25,6 +27,8 @@ class FAQVector {
     required this.category,
     required this.createdAt,
     required this.updatedAt,
+    this.qualityScore,
+    this.needsRewrite = false,
   });
 
   /// Create FAQVector from Firestore document
@@ -44,6 +48,8 @@ class FAQVector {
       category: data['category'] ?? 'general',
       createdAt: (data['createdAt'] as Timestamp?)?.toDate() ?? DateTime.now(),
       updatedAt: (data['updatedAt'] as Timestamp?)?.toDate() ?? DateTime.now(),
+      qualityScore: (data['qualityScore'] as num?)?.toDouble(),
+      needsRewrite: data['needsRewrite'] == true,
     );
   }
 
@@ -74,6 +80,8 @@ class FAQVector {
     String? category,
     DateTime? createdAt,
     DateTime? updatedAt,
+    double? qualityScore,
+    bool? needsRewrite,
   }) {
     return FAQVector(
       id: id ?? this.id,
@@ -86,6 +94,8 @@ class FAQVector {
       category: category ?? this.category,
       createdAt: createdAt ?? this.createdAt,
       updatedAt: updatedAt ?? this.updatedAt,
+      qualityScore: qualityScore ?? this.qualityScore,
+      needsRewrite: needsRewrite ?? this.needsRewrite,
     );
   }
 }
@@ -295,6 +295,8 @@ Future<void> _uploadPendingItem(
     'createdAt': Timestamp.fromDate(now),
     'location': pendingItem.location,
     'isStory': pendingItem.isStory,
+    // Feeds only read visible snaps; scheduling and moderation may hide it
+    'visible': true,
   };
 
   // Add story-specific fields if this is a story
@@ -142,6 +142,7 @@ class BroadcastService {
       // Get base query for unexpired broadcasts
       Query query = _firestore
           .collection('broadcasts')
+          .where('visible', isEqualTo: true)
           .where('expiresAt', isGreaterThan: Timestamp.now())
           .orderBy('expiresAt', descending: false)
           .orderBy('createdAt', descending: true)
@@ -328,6 +329,7 @@ class BroadcastService {
       return _firestore
           .collection('broadcasts')
           .where('vendorUid', isEqualTo: vendorId)
+          .where('visible', isEqualTo: true)
           .where('expiresAt', isGreaterThan: Timestamp.now())
           .orderBy('expiresAt', descending: false)
           .orderBy('createdAt', descending: true)
@@ -384,6 +386,7 @@ class BroadcastService {
       // Get total broadcasts count
       final totalBroadcasts = await _firestore
           .collection('broadcasts')
+          .where('visible', isEqualTo: true)
           .where('expiresAt', isGreaterThan: Timestamp.now())
           .count()
           .get();
@@ -14,6 +14,7 @@ class RecipeSnippet {
   final String category;
   final double relevanceScore;
   final bool fromCache;
+  final String? cacheKey; // Server cache key, also the feedback contentId
 
   RecipeSnippet({
     required this.recipeName,
@@ -22,6 +23,7 @@ class RecipeSnippet {
     required this.category,
     required this.relevanceScore,
     this.fromCache = false,
+    this.cacheKey,
   });
 
   factory RecipeSnippet.fromJson(Map<String, dynamic> json) {
@@ -31,6 +33,8 @@ class RecipeSnippet {
       ingredients: List<String>.from(json['ingredients'] ?? []),
       category: json['category'] ?? 'general',
       relevanceScore: (json['relevanceScore'] ?? 0.0).toDouble(),
+      fromCache: json['fromCache'] ?? false,
+      cacheKey: json['cacheKey'],
     );
   }
 
@@ -41,6 +45,7 @@ class RecipeSnippet {
       'ingredients': ingredients,
       'category': category,
       'relevanceScore': relevanceScore,
+      'cacheKey': cacheKey,
     };
   }
 
@@ -52,6 +57,7 @@ class RecipeSnippet {
       category: category,
       relevanceScore: relevanceScore,
       fromCache: true,
+      cacheKey: cacheKey,
     );
   }
 }
@@ -364,7 +364,7 @@ class UserDataSyncService {
       // Get broadcasts created by this vendor
       final broadcastsQuery = await _firestore
           .collection('broadcasts')
-          .where('vendorId', isEqualTo: uid)
+          .where('vendorUid', isEqualTo: uid)
           .orderBy('createdAt', descending: true)
           .limit(50)
           .get();
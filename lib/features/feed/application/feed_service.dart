@@ -94,6 +94,7 @@ class FeedService {
           .collection('snaps')
           .where('vendorId', whereIn: followedVendorIds)
           .where('isStory', isEqualTo: true)
+          .where('visible', isEqualTo: true)
           .orderBy('createdAt', descending: true)
           .limit(100) // Increased limit to get stories from multiple vendors
           .snapshots()
@@ -286,6 +287,7 @@ class FeedService {
           'isStory',
           isEqualTo: false,
         ) // Only get regular feed posts, not stories
+        .where('visible', isEqualTo: true)
         .orderBy('createdAt', descending: true)
         .limit(limit)
         .snapshots()
@@ -338,6 +340,7 @@ class FeedService {
                 'isStory',
                 isEqualTo: false,
               ) // Only get regular feed posts, not stories
+              .where('visible', isEqualTo: true)
               .orderBy('createdAt', descending: true)
               .limit(limit)
               .get();
@@ -1088,8 +1088,14 @@ class _FeedPostWidgetState extends State<FeedPostWidget> {
     }
   }
 
-  /// Generate consistent recipe hash for tracking
+  /// Generate consistent recipe hash for tracking.
+  /// Uses the server's recipe cache key so feedback lines up with cached
+  /// recipes; older responses without one fall back to a local hash.
   String _generateRecipeHash(RecipeSnippet recipe) {
+    final cacheKey = recipe.cacheKey;
+    if (cacheKey != null && cacheKey.isNotEmpty) {
+      return cacheKey;
+    }
     final combinedString =
         '${recipe.recipeName}_${recipe.ingredients.join('_')}';
     return combinedString.hashCode.toString();
@@ -301,6 +301,13 @@ class _VendorKnowledgeBaseScreenState extends State<VendorKnowledgeBaseScreen>
         'updatedAt': Timestamp.fromDate(now),
       };
 
+      // Shopper feedback on the old wording stops counting once it changes
+      if (existingFAQ == null ||
+          existingFAQ.question != question ||
+          existingFAQ.answer != answer) {
+        faqData['contentUpdatedAt'] = Timestamp.fromDate(now);
+      }
+
       if (existingFAQ == null) {
         // Create new FAQ
         faqData['createdAt'] = Timestamp.fromDate(now);
@@ -814,6 +821,16 @@ class _VendorKnowledgeBaseScreenState extends State<VendorKnowledgeBaseScreen>
                                     ),
                                     const SizedBox(height: AppSpacing.sm),
 
+                                    if (faq.needsRewrite) ...[
+                                      MarketSnapStatusMessage(
+                                        message:
+                                            'Shoppers keep rating this answer as unhelpful. Try rewriting it.',
+                                        type: StatusType.warning,
+                                        showIcon: true,
+                                      ),
+                                      const SizedBox(height: AppSpacing.sm),
+                                    ],
+
                                     // Category and keywords
                                     Wrap(
                                       spacing: AppSpacing.xs,
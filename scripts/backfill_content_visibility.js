@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+// Marks existing snaps and broadcasts as visible.
+//
+// Feeds only read items with `visible: true`, and the security rules hide
+// anything else from shoppers. Items written before the app set that field
+// need it added once. Scheduled, cancelled and removed items already have
+// `visible: false` and are left alone.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json FIREBASE_PROJECT_ID=your-project-id \
+//     node scripts/backfill_content_visibility.js
+// Set FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 to run it against the emulator.
+
+const admin = require('firebase-admin');
+
+admin.initializeApp({
+  projectId: process.env.FIREBASE_PROJECT_ID || 'marketsnap-app',
+});
+
+const db = admin.firestore();
+const PAGE_SIZE = 400;
+
+async function backfillCollection(collection) {
+  let updated = 0;
+  let last = null;
+
+  for (;;) {
+    let query = db.collection(collection).orderBy('__name__').limit(PAGE_SIZE);
+    if (last) {
+      query = query.startAfter(last);
+    }
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    let pending = 0;
+    for (const doc of snapshot.docs) {
+      if (doc.data().visible === undefined) {
+        batch.update(doc.ref, {visible: true});
+        pending++;
+      }
+    }
+    if (pending > 0) {
+      await batch.commit();
+      updated += pending;
+    }
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(`  ✅ ${collection}: marked ${updated} items visible`);
+}
+
+async function main() {
+  console.log('👀 Backfilling visibility on snaps and broadcasts...');
+  await backfillCollection('snaps');
+  await backfillCollection('broadcasts');
+  console.log('🎉 Done');
+}
+
+main().catch((error) => {
+  console.error('❌ Backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+// Stores existing FAQ embeddings as Firestore vector values.
+//
+// askMarket finds candidate FAQs with a findNearest query, which only sees
+// embeddings stored as vector values. Cloud Functions write them that way,
+// but faqVectors documents embedded earlier hold plain arrays and need
+// converting once. Staged `nextEmbedding` fields are converted too.
+//
+// Usage:
+//   GOOGLE_APPLICATION_CREDENTIALS=key.json FIREBASE_PROJECT_ID=your-project-id \
+//     node scripts/backfill_faq_vector_values.js
+// Set FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 to run it against the emulator.
+
+const admin = require('firebase-admin');
+
+admin.initializeApp({
+  projectId: process.env.FIREBASE_PROJECT_ID || 'marketsnap-app',
+});
+
+const db = admin.firestore();
+const PAGE_SIZE = 400;
+const VECTOR_FIELDS = ['embedding', 'nextEmbedding'];
+
+async function main() {
+  console.log('🧭 Converting FAQ embeddings to vector values...');
+  let updated = 0;
+  let last = null;
+
+  for (;;) {
+    let query = db.collection('faqVectors').orderBy('__name__').limit(PAGE_SIZE);
+    if (last) {
+      query = query.startAfter(last);
+    }
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    let pending = 0;
+    for (const doc of snapshot.docs) {
+      const updates = {};
+      for (const field of VECTOR_FIELDS) {
+        const value = doc.get(field);
+        if (Array.isArray(value) && value.length > 0) {
+          updates[field] = admin.firestore.FieldValue.vector(value);
+        }
+      }
+      if (Object.keys(updates).length > 0) {
+        batch.update(doc.ref, updates);
+        pending++;
+      }
+    }
+    if (pending > 0) {
+      await batch.commit();
+      updated += pending;
+    }
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(`  ✅ faqVectors: converted ${updated} documents`);
+  console.log('🎉 Done');
+}
+
+main().catch((error) => {
+  console.error('❌ Backfill failed:', error);
+  process.exit(1);
+});
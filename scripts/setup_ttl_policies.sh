@@ -32,6 +32,30 @@ gcloud firestore fields ttls update expiresAt \
   --project="$FIREBASE_PROJECT_ID" \
   --quiet
 
+# Configure TTL policy for fan-out idempotency markers
+echo "📝 Configuring TTL policy for 'fanOutMarkers' collection..."
+gcloud firestore fields ttls update expiresAt \
+  --collection-group=fanOutMarkers \
+  --enable-ttl \
+  --project="$FIREBASE_PROJECT_ID" \
+  --quiet
+
+# Configure TTL policy for AI quota counters
+echo "📝 Configuring TTL policy for 'aiUsage' collection..."
+gcloud firestore fields ttls update expiresAt \
+  --collection-group=aiUsage \
+  --enable-ttl \
+  --project="$FIREBASE_PROJECT_ID" \
+  --quiet
+
+# Configure TTL policy for cached recipe snippets
+echo "📝 Configuring TTL policy for 'recipeCache' collection..."
+gcloud firestore fields ttls update expiresAt \
+  --collection-group=recipeCache \
+  --enable-ttl \
+  --project="$FIREBASE_PROJECT_ID" \
+  --quiet
+
 echo "✅ TTL policy configured successfully!"
 echo ""
 echo "📋 TTL Policy Details:"
@@ -39,6 +63,9 @@ echo "  - Collection: messages"
 echo "  - Field: expiresAt"
 echo "  - Auto-deletion: Documents expire after 24 hours"
 echo "  - Deletion window: Within 24 hours of expiration"
+echo "  - Collection: fanOutMarkers (push idempotency markers, kept 7 days)"
+echo "  - Collection: aiUsage (AI quota counters, kept until the day after their window)"
+echo "  - Collection: recipeCache (cached recipe snippets, kept 7 days)"
 echo ""
 echo "🎉 Setup complete! Messages will now automatically expire."
 